@@ -0,0 +1,193 @@
+import { Component } from '@theme/component';
+
+/**
+ * @typedef {object} BackInStockSubscription
+ * @property {string} variantId - The variant id.
+ * @property {number} subscribedAt - When the shopper signed up, in milliseconds since the epoch.
+ */
+
+/**
+ * The back in stock sign-ups of the shopper, kept in localStorage to show them again on later visits.
+ */
+export class BackInStockSubscriptions {
+  /** @static @constant {string} The key used to store the sign-ups in local storage */
+  static #STORAGE_KEY = 'backInStockSubscriptions';
+  /** @static @constant {number} The maximum number of sign-ups to store */
+  static #MAX_ITEMS = 50;
+
+  /**
+   * Stores a sign-up.
+   * @param {string} variantId - The variant id.
+   */
+  static add(variantId) {
+    const items = this.getItems().filter((item) => item.variantId !== variantId);
+
+    items.unshift({ variantId, subscribedAt: Date.now() });
+
+    localStorage.setItem(this.#STORAGE_KEY, JSON.stringify(items.slice(0, this.#MAX_ITEMS)));
+  }
+
+  /**
+   * @param {string} variantId - The variant id.
+   * @returns {boolean} Whether the shopper signed up for the variant.
+   */
+  static has(variantId) {
+    return this.getItems().some((item) => item.variantId === variantId);
+  }
+
+  /**
+   * @returns {BackInStockSubscription[]} The sign-ups, newest first.
+   */
+  static getItems() {
+    const items = JSON.parse(localStorage.getItem(this.#STORAGE_KEY) || '[]');
+
+    return Array.isArray(items) ? items : [];
+  }
+}
+
+/**
+ * A sign-up to be emailed when the variant selected is back in stock, shown while it's sold out.
+ * The product form updates it with the variant selected.
+ *
+ * @typedef {object} BackInStockRefs
+ * @property {HTMLButtonElement} toggleButton - Opens the sign-up form.
+ * @property {HTMLFormElement} form - The sign-up form.
+ * @property {HTMLInputElement} variantTitle - The title of the variant, posted with the email.
+ * @property {HTMLInputElement} variantId - The id of the variant, posted with the email.
+ * @property {HTMLInputElement} email - The email of the shopper.
+ * @property {HTMLButtonElement} submitButton - Submits the sign-up.
+ * @property {HTMLElement} error - The error of the sign-up.
+ * @property {HTMLElement} success - Confirms the sign-up.
+ *
+ * @extends {Component<BackInStockRefs>}
+ */
+class BackInStockComponent extends Component {
+  requiredRefs = ['toggleButton', 'form', 'variantTitle', 'variantId', 'email', 'submitButton', 'error', 'success'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#render();
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    // The server doesn't know about the sign-ups of the shopper
+    this.#render();
+  }
+
+  /**
+   * Shows the sign-up for a variant that is sold out, and hides it otherwise.
+   * @param {{ id: number | string, title?: string, available: boolean } | null} variant - The variant selected.
+   */
+  update(variant) {
+    const { form, variantTitle, variantId } = this.refs;
+
+    this.hidden = !variant || variant.available;
+    if (!variant) return;
+
+    this.dataset.variantId = String(variant.id);
+    variantId.value = String(variant.id);
+    variantTitle.value = variant.title ?? '';
+
+    form.hidden = true;
+    this.#clearError();
+    this.#render();
+  }
+
+  /**
+   * Opens the sign-up form.
+   */
+  open() {
+    const { form, toggleButton, email } = this.refs;
+
+    form.hidden = false;
+    toggleButton.hidden = true;
+    email.focus();
+  }
+
+  /**
+   * Posts the email and the variant to the endpoint of the form.
+   * @param {SubmitEvent} event - The submit event.
+   */
+  async subscribe(event) {
+    event.preventDefault();
+
+    const { form, email, submitButton } = this.refs;
+    const variantId = this.dataset.variantId;
+
+    email.value = email.value.trim();
+
+    if (!email.checkValidity()) {
+      this.#showError(this.dataset.errorEmail ?? '', true);
+      email.focus();
+      return;
+    }
+
+    if (!variantId) return;
+
+    this.#clearError();
+    submitButton.disabled = true;
+
+    try {
+      const response = await fetch(form.action, {
+        method: 'POST',
+        body: new FormData(form),
+        headers: { Accept: 'application/json, text/html' },
+      });
+
+      // The contact form redirects with `contact_posted=true` once it takes the sign-up, and to a challenge page or
+      // back to the form with errors otherwise
+      const rejected =
+        'contactForm' in form.dataset && new URL(response.url).searchParams.get('contact_posted') !== 'true';
+
+      if (!response.ok || rejected) {
+        throw new Error(`Back in stock sign-up failed with status ${response.status}`);
+      }
+
+      BackInStockSubscriptions.add(variantId);
+      this.#render();
+    } catch (error) {
+      this.#showError(this.dataset.errorRequest ?? '');
+      console.error(error);
+    } finally {
+      submitButton.disabled = false;
+    }
+  }
+
+  /**
+   * Shows the confirmation instead of the form when the shopper already signed up for the variant.
+   */
+  #render() {
+    const { toggleButton, form, success } = this.refs;
+    const subscribed = Boolean(this.dataset.variantId && BackInStockSubscriptions.has(this.dataset.variantId));
+
+    success.hidden = !subscribed;
+    toggleButton.hidden = subscribed || !form.hidden;
+    if (subscribed) form.hidden = true;
+  }
+
+  /**
+   * @param {string} message - The error message.
+   * @param {boolean} [invalidEmail] - Whether the error is about the email, to mark the field as invalid.
+   */
+  #showError(message, invalidEmail = false) {
+    const { error, email } = this.refs;
+
+    error.textContent = message;
+    error.hidden = false;
+    if (invalidEmail) email.setAttribute('aria-invalid', 'true');
+  }
+
+  #clearError() {
+    const { error, email } = this.refs;
+
+    error.hidden = true;
+    email.removeAttribute('aria-invalid');
+  }
+}
+
+if (!customElements.get('back-in-stock-component')) {
+  customElements.define('back-in-stock-component', BackInStockComponent);
+}
@@ -1,7 +1,7 @@
 import { Component } from '@theme/component';
 import { morphSection } from '@theme/section-renderer';
 import { DiscountUpdateEvent } from '@theme/events';
-import { fetchConfig } from '@theme/utilities';
+import { cartQueue } from '@theme/cart-queue';
 import { cartPerformance } from '@theme/performance';
 
 /**
@@ -19,19 +19,6 @@ import { cartPerformance } from '@theme/performance';
 class CartDiscount extends Component {
   requiredRefs = ['cartDiscountError', 'cartDiscountErrorDiscountCode', 'cartDiscountErrorShipping'];
 
-  /** @type {AbortController | null} */
-  #activeFetch = null;
-
-  #createAbortController() {
-    if (this.#activeFetch) {
-      this.#activeFetch.abort();
-    }
-
-    const abortController = new AbortController();
-    this.#activeFetch = abortController;
-    return abortController;
-  }
-
   /**
    * Handles updates to the cart note.
    * @param {SubmitEvent} event - The submit event on our form.
@@ -50,8 +37,6 @@ class CartDiscount extends Component {
 
     const discountCodeValue = discountCode.value;
 
-    const abortController = this.#createAbortController();
-
     try {
       const existingDiscounts = this.#existingDiscounts();
       if (existingDiscounts.includes(discountCodeValue)) return;
@@ -60,20 +45,16 @@ class CartDiscount extends Component {
       cartDiscountErrorDiscountCode.classList.add('hidden');
       cartDiscountErrorShipping.classList.add('hidden');
 
-      const config = fetchConfig('json', {
-        body: JSON.stringify({
+      const data = await cartQueue.enqueue({
+        url: Theme.routes.cart_update_url,
+        body: {
           discount: [...existingDiscounts, discountCodeValue].join(','),
           sections: [this.dataset.sectionId],
-        }),
-      });
-
-      const response = await fetch(Theme.routes.cart_update_url, {
-        ...config,
-        signal: abortController.signal,
+        },
+        key: 'discount',
+        sourceId: this.id,
       });
 
-      const data = await response.json();
-
       if (
         data.discount_codes.find((/** @type {{ code: string; applicable: boolean; }} */ discount) => {
           return discount.code === discountCodeValue && discount.applicable === false;
@@ -112,7 +93,6 @@ class CartDiscount extends Component {
       morphSection(this.dataset.sectionId, newHtml);
     } catch (error) {
     } finally {
-      this.#activeFetch = null;
       cartPerformance.measureFromEvent('discount-update:user-action', event);
     }
   };
@@ -146,26 +126,17 @@ class CartDiscount extends Component {
 
     existingDiscounts.splice(index, 1);
 
-    const abortController = this.#createAbortController();
-
     try {
-      const config = fetchConfig('json', {
-        body: JSON.stringify({ discount: existingDiscounts.join(','), sections: [this.dataset.sectionId] }),
-      });
-
-      const response = await fetch(Theme.routes.cart_update_url, {
-        ...config,
-        signal: abortController.signal,
+      const data = await cartQueue.enqueue({
+        url: Theme.routes.cart_update_url,
+        body: { discount: existingDiscounts.join(','), sections: [this.dataset.sectionId] },
+        key: 'discount',
+        sourceId: this.id,
       });
 
-      const data = await response.json();
-
       document.dispatchEvent(new DiscountUpdateEvent(data, this.id));
       morphSection(this.dataset.sectionId, data.sections[this.dataset.sectionId]);
-    } catch (error) {
-    } finally {
-      this.#activeFetch = null;
-    }
+    } catch (error) {}
   };
 
   /**
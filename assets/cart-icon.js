@@ -1,6 +1,6 @@
 import { Component } from '@theme/component';
+import { cartStore } from '@theme/cart-store';
 import { onAnimationEnd } from '@theme/utilities';
-import { ThemeEvents, CartUpdateEvent } from '@theme/events';
 
 /**
  * A custom element that displays a cart icon.
@@ -15,6 +15,9 @@ import { ThemeEvents, CartUpdateEvent } from '@theme/events';
 class CartIcon extends Component {
   requiredRefs = ['cartBubble', 'cartBubbleText', 'cartBubbleCount'];
 
+  /** @type {(() => void) | undefined} */
+  #unsubscribe;
+
   /** @type {number} */
   get currentCartCount() {
     return parseInt(this.refs.cartBubbleCount.textContent ?? '0', 10);
@@ -27,7 +30,8 @@ class CartIcon extends Component {
   connectedCallback() {
     super.connectedCallback();
 
-    document.addEventListener(ThemeEvents.cartUpdate, this.onCartUpdate);
+    // The count is rendered by the server, so the icon doesn't need the cart to be fetched on every page
+    this.#unsubscribe = cartStore.subscribe(this.onCartChange, { seed: false });
     window.addEventListener('pageshow', this.onPageShow);
     this.ensureCartBubbleIsCorrect();
   }
@@ -35,7 +39,7 @@ class CartIcon extends Component {
   disconnectedCallback() {
     super.disconnectedCallback();
 
-    document.removeEventListener(ThemeEvents.cartUpdate, this.onCartUpdate);
+    this.#unsubscribe?.();
     window.removeEventListener('pageshow', this.onPageShow);
   }
 
@@ -50,28 +54,27 @@ class CartIcon extends Component {
   };
 
   /**
-   * Handles the cart update event.
-   * @param {CartUpdateEvent} event - The cart update event.
+   * Handles cart store changes. Optimistic changes are shown right away, and the count is corrected if the server
+   * rejects them.
+   * @param {import('./cart-store').Cart} cart - The cart.
+   * @param {import('./cart-store').CartStoreChange} change - The reason of the change.
    */
-  onCartUpdate = async (event) => {
-    const itemCount = event.detail.data?.itemCount ?? 0;
-    const comingFromProductForm = event.detail.data?.source === 'product-form-component';
+  onCartChange = (cart, change) => {
+    if (cart.item_count === this.currentCartCount) return;
 
-    this.renderCartBubble(itemCount, comingFromProductForm);
+    this.renderCartBubble(cart.item_count, change.reason !== 'load' && change.reason !== 'rollback');
   };
 
   /**
    * Renders the cart bubble.
    * @param {number} itemCount - The number of items in the cart.
-   * @param {boolean} comingFromProductForm - Whether the cart update is coming from the product form.
+   * @param {boolean} [animate] - Whether to animate the bubble.
    */
-  renderCartBubble = async (itemCount, comingFromProductForm, animate = true) => {
-    // If the cart update is coming from the product form, we add to the current cart count, otherwise we set the new cart count
-
+  renderCartBubble = async (itemCount, animate = true) => {
     this.refs.cartBubbleCount.classList.toggle('hidden', itemCount === 0);
     this.refs.cartBubble.classList.toggle('visually-hidden', itemCount === 0);
 
-    this.currentCartCount = comingFromProductForm ? this.currentCartCount + itemCount : itemCount;
+    this.currentCartCount = itemCount;
 
     this.classList.toggle('header-actions__cart-icon--has-cart', itemCount > 0);
 
@@ -120,7 +123,7 @@ class CartIcon extends Component {
         const count = parseInt(value, 10);
 
         if (count >= 0) {
-          this.renderCartBubble(count, false, false);
+          this.renderCartBubble(count, false);
         }
       }
     } catch (_) {
@@ -1,14 +1,12 @@
 import { Component } from '@theme/component';
-import { debounce, fetchConfig } from '@theme/utilities';
+import { cartQueue } from '@theme/cart-queue';
+import { debounce } from '@theme/utilities';
 import { cartPerformance } from '@theme/performance';
 
 /**
  * A custom element that displays a cart note.
  */
 class CartNote extends Component {
-  /** @type {AbortController | null} */
-  #activeFetch = null;
-
   /**
    * Handles updates to the cart note.
    * @param {InputEvent} event - The input event in our text-area.
@@ -17,25 +15,17 @@ class CartNote extends Component {
     if (!(event.target instanceof HTMLTextAreaElement)) return;
 
     const note = event.target.value;
-    if (this.#activeFetch) {
-      this.#activeFetch.abort();
-    }
-
-    const abortController = new AbortController();
-    this.#activeFetch = abortController;
 
     try {
-      const config = fetchConfig('json', {
-        body: JSON.stringify({ note }),
-      });
-
-      await fetch(Theme.routes.cart_update_url, {
-        ...config,
-        signal: abortController.signal,
+      // Only the latest note is kept while a previous update is still pending
+      await cartQueue.enqueue({
+        url: Theme.routes.cart_update_url,
+        body: { note },
+        key: 'note',
+        sourceId: this.id,
       });
     } catch (error) {
     } finally {
-      this.#activeFetch = null;
       cartPerformance.measureFromEvent('note-update:user-action', event);
     }
   }, 200);
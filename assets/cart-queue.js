@@ -0,0 +1,538 @@
+import { CartErrorEvent, CartPendingEvent, CartUpdateEvent } from '@theme/events';
+import { fetchConfig, onDocumentReady } from '@theme/utilities';
+
+/**
+ * A central queue for cart mutations (`/cart/add`, `/cart/change` and `/cart/update`).
+ *
+ * - Mutations are sent one at a time, in order, so rapid or concurrent edits can't race each other.
+ * - A pending mutation is replaced by a newer one with the same `key` (e.g. the same cart line), so only the
+ *   latest quantity, note or discount is sent.
+ * - Rate limiting is retried with exponential backoff. While the browser is offline, the queue waits for the connection
+ *   to come back before sending.
+ * - Mutations with a `key` set absolute values, so sending them twice is harmless: they are also retried after network
+ *   failures and server errors, and persisted in IndexedDB to be replayed on the next page load if the tab is closed
+ *   first. Other mutations, like adds, are never sent again once the request may have reached the server.
+ *
+ * Callers get a promise for the response JSON, like they would from `fetch`. When a mutation can't be sent right away,
+ * the promise rejects with a `CartQueueDeferredError` and the queue takes over: it reports the deferral through a
+ * `CartPendingEvent`, and later the outcome through `CartErrorEvent` and `CartUpdateEvent`, dispatched on the
+ * document.
+ * @module cart-queue
+ */
+
+/**
+ * @typedef {object} CartMutation
+ * @property {string} url - The cart endpoint, e.g. `Theme.routes.cart_change_url`.
+ * @property {Record<string, any> | FormData} body - The request body. Objects are sent as JSON.
+ * @property {string} [key] - Mutations with the same key coalesce: a pending mutation is replaced by a newer one.
+ * Only use it for mutations that set an absolute value, like a line quantity, the note or the discount codes.
+ * @property {string} [sourceId] - The id of the element the mutation was triggered from, reported in events.
+ * @property {Record<string, string>} [headers] - Extra request headers.
+ * @property {boolean} [persist] - Whether the mutation is replayed on the next page load if it's still pending,
+ * true by default for mutations with a `key`. Turn it off for mutations that target a line by its index, which may be
+ * another line by then. Mutations without a `key` are never persisted.
+ */
+
+/**
+ * A mutation as it is stored in IndexedDB.
+ * @typedef {object} StoredMutation
+ * @property {string} id - A unique identifier.
+ * @property {string} url - The cart endpoint.
+ * @property {'json' | 'form'} bodyType - How the body is encoded.
+ * @property {any} body - The JSON body, or the form data entries.
+ * @property {string} [key] - The coalescing key.
+ * @property {string} sourceId - The id of the element the mutation was triggered from.
+ * @property {Record<string, string>} [headers] - Extra request headers.
+ * @property {number} createdAt - When the mutation was queued.
+ */
+
+/**
+ * @typedef {object} QueueEntry
+ * @property {StoredMutation} record - The mutation.
+ * @property {Array<{ resolve: (data: any) => void, reject: (error: Error) => void }>} callers - Promises waiting for the
+ * response. Empty once the mutation was deferred, or when it was restored from a previous page.
+ * @property {number} attempts - The number of failed attempts.
+ * @property {boolean} deferred - Whether the callers were told the mutation will be sent later.
+ * @property {boolean} idempotent - Whether the mutation sets absolute values, so it may be sent again.
+ * @property {boolean} persist - Whether the mutation may be persisted.
+ * @property {Promise<boolean>} stored - Whether the mutation was persisted.
+ */
+
+const DATABASE_NAME = 'theme-cart-queue';
+const STORE_NAME = 'mutations';
+const BASE_RETRY_DELAY = 500;
+const MAX_RETRY_DELAY = 30000;
+/** Failed requests are given up on after this many attempts. Network failures and offline waits don't count. */
+const MAX_ATTEMPTS = 6;
+/** Persisted mutations older than this are dropped rather than replayed. */
+const MAX_MUTATION_AGE = 24 * 60 * 60 * 1000;
+
+/**
+ * Error used to reject a caller's promise when its mutation is kept in the queue to be sent later.
+ */
+export class CartQueueDeferredError extends Error {
+  constructor() {
+    super('Cart change queued until the connection is restored');
+    this.name = 'CartQueueDeferredError';
+  }
+}
+
+/**
+ * Error used when a response can't be retried or parsed.
+ */
+class CartQueueResponseError extends Error {
+  /**
+   * @param {Response} response - The failed response.
+   */
+  constructor(response) {
+    super(`Cart request failed: HTTP error ${response.status}`);
+    this.status = response.status;
+  }
+}
+
+/**
+ * Wraps an IndexedDB request in a promise.
+ * @template T
+ * @param {IDBRequest<T>} request - The request.
+ * @returns {Promise<T>} The request result.
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Persists mutations in IndexedDB. Every method resolves quietly when IndexedDB is unavailable
+ * (private browsing, blocked storage), in which case the queue only lives as long as the page.
+ */
+class MutationStore {
+  /** @type {Promise<IDBDatabase | null> | undefined} */
+  #database;
+
+  /**
+   * Opens the database once.
+   * @returns {Promise<IDBDatabase | null>}
+   */
+  #open() {
+    if (!this.#database) {
+      this.#database = new Promise((resolve) => {
+        if (!('indexedDB' in window)) return resolve(null);
+
+        try {
+          const request = indexedDB.open(DATABASE_NAME, 1);
+          request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => resolve(null);
+          request.onblocked = () => resolve(null);
+        } catch (error) {
+          resolve(null);
+        }
+      });
+    }
+
+    return this.#database;
+  }
+
+  /**
+   * Runs a callback against the object store.
+   * @template T
+   * @param {IDBTransactionMode} mode - The transaction mode.
+   * @param {(store: IDBObjectStore) => Promise<T>} callback - The callback.
+   * @param {T} fallback - The value returned when IndexedDB is unavailable or fails.
+   * @returns {Promise<T>}
+   */
+  async #withStore(mode, callback, fallback) {
+    const database = await this.#open();
+    if (!database) return fallback;
+
+    try {
+      return await callback(database.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+    } catch (error) {
+      console.warn('Cart queue storage failed', error);
+      return fallback;
+    }
+  }
+
+  /**
+   * Stores a mutation.
+   * @param {StoredMutation} record - The mutation.
+   * @returns {Promise<boolean>} Whether the mutation was stored.
+   */
+  put(record) {
+    return this.#withStore(
+      'readwrite',
+      async (store) => {
+        await promisifyRequest(store.put(record));
+        return true;
+      },
+      false
+    );
+  }
+
+  /**
+   * Removes a mutation.
+   * @param {string} id - The mutation ID.
+   */
+  delete(id) {
+    return this.#withStore('readwrite', (store) => promisifyRequest(store.delete(id)), undefined);
+  }
+
+  /**
+   * Removes a mutation, reporting whether it was still stored. Another tab may have replayed it already.
+   * @param {string} id - The mutation ID.
+   * @returns {Promise<boolean>}
+   */
+  claim(id) {
+    return this.#withStore(
+      'readwrite',
+      async (store) => {
+        const count = await promisifyRequest(store.count(id));
+        if (count === 0) return false;
+
+        await promisifyRequest(store.delete(id));
+        return true;
+      },
+      true
+    );
+  }
+
+  /**
+   * Returns every stored mutation, oldest first.
+   * @returns {Promise<StoredMutation[]>}
+   */
+  async getAll() {
+    /** @type {StoredMutation[]} */
+    const records = await this.#withStore('readonly', (store) => promisifyRequest(store.getAll()), []);
+    return records.sort((a, b) => a.createdAt - b.createdAt);
+  }
+}
+
+/**
+ * Waits for a delay, or until the browser is back online when it is offline.
+ * @param {number} delay - The delay in milliseconds.
+ * @returns {Promise<void>}
+ */
+function waitBeforeRetry(delay) {
+  if (!navigator.onLine) {
+    return new Promise((resolve) => window.addEventListener('online', () => resolve(), { once: true }));
+  }
+
+  return new Promise((resolve) => setTimeout(resolve, delay));
+}
+
+/**
+ * Whether a response status is worth retrying.
+ * Rate limited requests weren't applied, but a server error may come after the change was made.
+ * @param {number} status - The HTTP status.
+ * @param {boolean} idempotent - Whether the mutation can be sent again safely.
+ * @returns {boolean}
+ */
+function isRetryableStatus(status, idempotent) {
+  return status === 429 || (idempotent && status >= 500);
+}
+
+/**
+ * A class to serialize, coalesce, retry and persist cart mutations.
+ */
+class CartMutationQueue {
+  /** @type {QueueEntry[]} */
+  #entries = [];
+
+  /** @type {QueueEntry | null} */
+  #inFlight = null;
+
+  #processing = false;
+
+  #store = new MutationStore();
+
+  constructor() {
+    onDocumentReady(() => this.#restore());
+  }
+
+  /**
+   * The number of mutations waiting to be sent, including the one in flight.
+   * @returns {number}
+   */
+  get size() {
+    return this.#entries.length;
+  }
+
+  /**
+   * Queues a cart mutation.
+   * @param {CartMutation} mutation - The mutation.
+   * @returns {Promise<any>} The response JSON. Rejects with `CartQueueDeferredError` if the mutation has to be sent
+   * later, and with the last error if it is given up on.
+   */
+  enqueue(mutation) {
+    const { body } = mutation;
+    const idempotent = Boolean(mutation.key);
+    const persist = idempotent && mutation.persist !== false;
+
+    /** @type {StoredMutation} */
+    const record = {
+      id: crypto.randomUUID(),
+      url: mutation.url,
+      // Files can't be replayed, so only the text fields of a form are kept
+      bodyType: body instanceof FormData ? 'form' : 'json',
+      body: body instanceof FormData ? Array.from(body.entries()).filter(([, value]) => typeof value === 'string') : body,
+      key: mutation.key,
+      sourceId: mutation.sourceId ?? '',
+      headers: mutation.headers,
+      createdAt: Date.now(),
+    };
+
+    return new Promise((resolve, reject) => {
+      /** @type {QueueEntry} */
+      const entry = {
+        record,
+        callers: [{ resolve, reject }],
+        attempts: 0,
+        deferred: false,
+        idempotent,
+        persist,
+        stored: persist ? this.#store.put(record) : Promise.resolve(false),
+      };
+
+      // Replace a pending mutation for the same key; its callers get the newer response
+      if (record.key) {
+        const index = this.#entries.findIndex((queued) => queued !== this.#inFlight && queued.record.key === record.key);
+        const superseded = this.#entries[index];
+
+        if (superseded) {
+          this.#entries.splice(index, 1);
+          entry.callers.unshift(...superseded.callers);
+          this.#store.delete(superseded.record.id);
+        }
+      }
+
+      this.#entries.push(entry);
+      this.#process();
+    });
+  }
+
+  /**
+   * Replays the mutations persisted by a previous page.
+   */
+  async #restore() {
+    const records = await this.#store.getAll();
+    const now = Date.now();
+
+    for (const record of records) {
+      // Mutations without a key, like adds, may have been applied already
+      if (now - record.createdAt > MAX_MUTATION_AGE || !record.key) {
+        this.#store.delete(record.id);
+        continue;
+      }
+
+      // Skip mutations this page queued itself before the restore ran
+      if (this.#entries.some((entry) => entry.record.id === record.id)) continue;
+
+      this.#entries.push({
+        record,
+        callers: [],
+        attempts: 0,
+        deferred: true,
+        idempotent: true,
+        persist: true,
+        stored: Promise.resolve(true),
+      });
+    }
+
+    this.#process();
+  }
+
+  /**
+   * Sends the queued mutations one at a time.
+   */
+  async #process() {
+    if (this.#processing) return;
+    this.#processing = true;
+
+    try {
+      let entry;
+      while ((entry = this.#entries[0])) {
+        this.#inFlight = entry;
+        const done = await this.#send(entry);
+        this.#inFlight = null;
+
+        if (done) {
+          this.#entries.shift();
+        } else {
+          const delay = Math.min(BASE_RETRY_DELAY * 2 ** (entry.attempts - 1), MAX_RETRY_DELAY);
+          await waitBeforeRetry(delay);
+        }
+      }
+    } finally {
+      this.#inFlight = null;
+      this.#processing = false;
+    }
+  }
+
+  /**
+   * Sends a mutation.
+   * @param {QueueEntry} entry - The entry to send.
+   * @returns {Promise<boolean>} Whether the entry is settled, false if it should be retried.
+   */
+  async #send(entry) {
+    const { record } = entry;
+
+    // Another tab replayed this mutation already
+    const stored = await entry.stored;
+    if (stored && !(await this.#store.claim(record.id))) {
+      this.#settle(entry, (caller) => caller.reject(new CartQueueDeferredError()));
+      return true;
+    }
+
+    // Wait for the connection rather than send a request that may or may not go through
+    if (!navigator.onLine) {
+      this.#defer(entry);
+      return false;
+    }
+
+    /** @type {Response} */
+    let response;
+    try {
+      response = await fetch(record.url, this.#buildRequest(record));
+    } catch (error) {
+      // The request may have reached the server, so only mutations that set absolute values are sent again
+      if (!entry.idempotent) {
+        this.#giveUp(entry, /** @type {Error} */ (error));
+        return true;
+      }
+
+      return this.#handleFailure(entry, /** @type {Error} */ (error), false);
+    }
+
+    if (isRetryableStatus(response.status, entry.idempotent)) {
+      return this.#handleFailure(entry, new CartQueueResponseError(response), true);
+    }
+
+    let data;
+    try {
+      data = await response.json();
+    } catch (error) {
+      data = { status: response.status, message: response.statusText, description: '' };
+    }
+
+    if (entry.deferred) this.#report(record, data);
+    this.#settle(entry, (caller) => caller.resolve(data));
+
+    return true;
+  }
+
+  /**
+   * Builds the request for a stored mutation.
+   * @param {StoredMutation} record - The mutation.
+   * @returns {RequestInit}
+   */
+  #buildRequest(record) {
+    if (record.bodyType === 'form') {
+      const body = new FormData();
+      for (const [name, value] of record.body) {
+        if (value !== undefined) body.append(name, value);
+      }
+
+      const config = fetchConfig('javascript', { body });
+      return { ...config, headers: { ...config.headers, ...record.headers } };
+    }
+
+    return fetchConfig('json', { body: JSON.stringify(record.body), headers: record.headers });
+  }
+
+  /**
+   * Keeps a failed mutation for a retry, or gives up on it after too many failed requests.
+   * @param {QueueEntry} entry - The failed entry.
+   * @param {Error} error - The failure.
+   * @param {boolean} countsAsAttempt - Whether the failure counts towards `MAX_ATTEMPTS`. Network failures don't.
+   * @returns {boolean} Whether the entry is settled.
+   */
+  #handleFailure(entry, error, countsAsAttempt) {
+    entry.attempts++;
+
+    if (countsAsAttempt && entry.attempts >= MAX_ATTEMPTS) {
+      this.#giveUp(entry, error);
+      return true;
+    }
+
+    this.#defer(entry);
+    return false;
+  }
+
+  /**
+   * Keeps a mutation to send it later, telling its callers the first time.
+   * @param {QueueEntry} entry - The entry.
+   */
+  #defer(entry) {
+    const { record } = entry;
+
+    if (entry.persist) entry.stored = this.#store.put(record);
+
+    // Let the caller restore its UI; the queue reports the outcome from now on
+    if (!entry.deferred) {
+      entry.deferred = true;
+      document.dispatchEvent(new CartPendingEvent(record.sourceId, Theme.translations.cart_changes_pending ?? ''));
+      this.#settle(entry, (caller) => caller.reject(new CartQueueDeferredError()));
+    }
+  }
+
+  /**
+   * Drops a mutation that won't be sent again, reporting the failure.
+   * @param {QueueEntry} entry - The entry.
+   * @param {Error} error - The failure.
+   */
+  #giveUp(entry, error) {
+    const { record } = entry;
+
+    document.dispatchEvent(new CartErrorEvent(record.sourceId, error.message, '', {}));
+    this.#settle(entry, (caller) => caller.reject(error));
+  }
+
+  /**
+   * Reports the outcome of a mutation nobody is waiting for anymore.
+   * @param {StoredMutation} record - The mutation.
+   * @param {any} data - The response JSON.
+   */
+  async #report(record, data) {
+    if (data.status || data.errors) {
+      document.dispatchEvent(
+        new CartErrorEvent(record.sourceId, data.message ?? '', data.description ?? '', data.errors ?? {})
+      );
+      return;
+    }
+
+    // Add responses only contain the added items, so read the count from the cart
+    let itemCount = data.item_count;
+    if (typeof itemCount !== 'number') {
+      try {
+        const cart = await (await fetch(`${Theme.routes.cart_url}.js`)).json();
+        itemCount = cart.item_count;
+      } catch (error) {
+        return;
+      }
+    }
+
+    document.dispatchEvent(
+      new CartUpdateEvent(data, record.sourceId, {
+        source: 'cart-queue',
+        itemCount,
+        sections: data.sections,
+        key: record.key,
+      })
+    );
+  }
+
+  /**
+   * Settles every caller waiting for an entry.
+   * @param {QueueEntry} entry - The entry.
+   * @param {(caller: QueueEntry['callers'][number]) => void} callback - Resolves or rejects a caller.
+   */
+  #settle(entry, callback) {
+    const { callers } = entry;
+    entry.callers = [];
+    callers.forEach(callback);
+  }
+}
+
+export const cartQueue = new CartMutationQueue();
@@ -0,0 +1,429 @@
+import { cartQueue, CartQueueDeferredError } from '@theme/cart-queue';
+import { ThemeEvents } from '@theme/events';
+
+/**
+ * A client-side model of the cart that cart components subscribe to, so they all agree on quantities.
+ *
+ * - The store is seeded from `/cart.js` once something needs the cart, like a first subscriber or a change in another
+ *   tab. It's refreshed whenever a `CartUpdateEvent` doesn't carry a full cart, unless it's the event of an add the
+ *   store just refreshed the cart for.
+ * - Mutations sent through `cartStore.mutate` apply their line changes optimistically: subscribers are notified
+ *   right away, before the request is sent.
+ * - The server response replaces the confirmed cart. Changes of mutations that are still pending stay applied on top.
+ * - When the server rejects a change, it's rolled back and subscribers are notified with the error.
+ * @module cart-store
+ */
+
+/**
+ * @typedef {object} CartLine
+ * @property {string} key - The line key.
+ * @property {number} variant_id - The variant id.
+ * @property {number} [product_id] - The product id. Missing on lines added optimistically.
+ * @property {number} quantity - The line quantity.
+ * @property {boolean} [optimistic] - Whether the line was added optimistically and isn't in the server cart yet.
+ */
+
+/**
+ * @typedef {object} Cart
+ * @property {CartLine[]} items - The cart lines.
+ * @property {number} item_count - The total quantity of items.
+ */
+
+/**
+ * A line change applied optimistically. Either sets the quantity of a line, identified by its key or 1-based index,
+ * or sets (or adds to, with `add`) the quantity of a variant.
+ * @typedef {{ line: string | number, quantity: number } | { variantId: string | number, quantity: number, add?: boolean }} CartLineChange
+ */
+
+/**
+ * Describes why subscribers are notified.
+ * @typedef {object} CartStoreChange
+ * @property {'load' | 'optimistic' | 'server' | 'rollback'} reason - `load` is only used for the initial call when
+ * subscribing, `optimistic` for changes that aren't confirmed yet, `server` when the confirmed cart changed, and
+ * `rollback` when the server rejected a change.
+ * @property {string} [sourceId] - The id of the element the change was triggered from.
+ * @property {string} [error] - The error message, for a rollback.
+ */
+
+/**
+ * @typedef {(cart: Cart, change: CartStoreChange) => void} CartStoreSubscriber
+ */
+
+/**
+ * @typedef {object} PendingMutation
+ * @property {CartLineChange[]} changes - The optimistic changes.
+ * @property {string | undefined} sourceId - The id of the element the mutation was triggered from.
+ * @property {string | undefined} key - The coalescing key of the mutation.
+ * @property {boolean} deferred - Whether the cart queue kept the mutation to send it later.
+ */
+
+/**
+ * Reads the error message of a cart API response, if it was rejected.
+ * @param {any} data - The response JSON.
+ * @returns {string | null} The error message.
+ */
+function getResponseError(data) {
+  if (data.errors) {
+    return typeof data.errors === 'string' ? data.errors : data.description || data.message || '';
+  }
+
+  if (data.status) return data.description || data.message || '';
+
+  return null;
+}
+
+/**
+ * Whether a response or event resource is a whole cart, as opposed to the items added by `/cart/add`.
+ * @param {any} resource - The resource.
+ * @returns {resource is Cart}
+ */
+function isCart(resource) {
+  return Array.isArray(resource?.items) && typeof resource?.item_count === 'number';
+}
+
+/**
+ * Applies an optimistic change to a copy of the cart lines.
+ * @param {CartLine[]} items - The lines, modified in place.
+ * @param {CartLineChange} change - The change.
+ */
+function applyChange(items, change) {
+  if ('line' in change) {
+    const item =
+      typeof change.line === 'number' ? items[change.line - 1] : items.find((item) => item.key === change.line);
+    if (item) item.quantity = change.quantity;
+    return;
+  }
+
+  const variantId = Number(change.variantId);
+  const item = items.find((item) => item.variant_id === variantId);
+
+  if (item) {
+    item.quantity = change.add ? item.quantity + change.quantity : change.quantity;
+  } else if (change.quantity > 0) {
+    items.push({ key: `optimistic:${variantId}`, variant_id: variantId, quantity: change.quantity, optimistic: true });
+  }
+}
+
+class CartStore {
+  /**
+   * The cart as last confirmed by the server.
+   * @type {Cart | null}
+   */
+  #cart = null;
+
+  /** @type {PendingMutation[]} */
+  #pending = [];
+
+  /** @type {Set<CartStoreSubscriber>} */
+  #subscribers = new Set();
+
+  /** @type {{ revision: number, promise: Promise<Cart | null> } | null} */
+  #refreshRequest = null;
+
+  /**
+   * Incremented whenever the server cart is known to have changed, so older requests aren't reused.
+   * @type {number}
+   */
+  #revision = 0;
+
+  /**
+   * The revision of the confirmed cart, so a slower refresh can't overwrite a newer cart.
+   * @type {number}
+   */
+  #appliedRevision = 0;
+
+  /**
+   * Whether the cart was just refreshed after an add, which callers report with a `CartAddEvent` without a cart.
+   * @type {boolean}
+   */
+  #refreshedForCaller = false;
+
+  /**
+   * The request that seeded the store, `null` until something needed the cart.
+   * @type {Promise<Cart | null> | null}
+   */
+  #seedRequest = null;
+
+  constructor() {
+    document.addEventListener(ThemeEvents.cartUpdate, this.#onCartUpdate);
+    document.addEventListener(ThemeEvents.cartError, this.#onCartError);
+  }
+
+  /**
+   * Resolves once the cart is loaded, seeding the store if it wasn't yet.
+   * Pages that only import the store, e.g. through the tab sync, don't fetch the cart until it's needed.
+   * @returns {Promise<Cart | null>}
+   */
+  get ready() {
+    return this.#seed();
+  }
+
+  /**
+   * The cart with the pending optimistic changes applied, or `null` until it's loaded.
+   * @returns {Cart | null}
+   */
+  get cart() {
+    if (!this.#cart || this.#pending.length === 0) return this.#cart;
+
+    const items = this.#cart.items.map((item) => ({ ...item }));
+    for (const { changes } of this.#pending) {
+      for (const change of changes) applyChange(items, change);
+    }
+
+    const lines = items.filter((item) => item.quantity > 0);
+
+    return {
+      ...this.#cart,
+      items: lines,
+      item_count: lines.reduce((total, item) => total + item.quantity, 0),
+    };
+  }
+
+  /**
+   * Subscribes to cart changes. The subscriber is called right away if the cart is already loaded.
+   * @param {CartStoreSubscriber} subscriber - Called with the cart and the reason of the change.
+   * @param {{ seed?: boolean }} [options] - Whether to load the cart if it isn't yet, true by default. Subscribers
+   * that are rendered with the current cart and only need its changes can skip it.
+   * @returns {() => void} Unsubscribes.
+   */
+  subscribe(subscriber, { seed = true } = {}) {
+    this.#subscribers.add(subscriber);
+
+    const { cart } = this;
+    if (cart) {
+      subscriber(cart, { reason: 'load' });
+    } else if (seed) {
+      // The subscriber is notified once the cart is loaded
+      this.#seed();
+    }
+
+    return () => this.#subscribers.delete(subscriber);
+  }
+
+  /**
+   * Gets the quantity of a line.
+   * @param {string} key - The line key.
+   * @returns {number | null} The quantity, or `null` when the line isn't in the cart.
+   */
+  getLineQuantity(key) {
+    return this.cart?.items.find((item) => item.key === key)?.quantity ?? null;
+  }
+
+  /**
+   * Gets the total quantity of a variant, across all its lines.
+   * @param {string | number} variantId - The variant id.
+   * @returns {number} The quantity.
+   */
+  getVariantQuantity(variantId) {
+    const id = Number(variantId);
+
+    const items = this.cart?.items ?? [];
+
+    return items.reduce((total, item) => (item.variant_id === id ? total + item.quantity : total), 0);
+  }
+
+  /**
+   * Fetches the cart from the server, after it was changed outside of the store.
+   * @returns {Promise<Cart | null>} The cart, or `null` if it couldn't be fetched.
+   */
+  refresh() {
+    this.#revision++;
+
+    const promise = this.#fetchCart();
+    if (!this.#seedRequest) this.#seedRequest = promise;
+
+    return promise;
+  }
+
+  /**
+   * Sends a cart mutation through the cart queue, applying its line changes optimistically until the server replies.
+   * Resolves and rejects like `cartQueue.enqueue`, so callers still handle the response themselves.
+   * @param {import('./cart-queue').CartMutation} mutation - The mutation.
+   * @param {CartLineChange[]} [changes] - The line changes the mutation is expected to make.
+   * @returns {Promise<any>} The response JSON.
+   */
+  async mutate(mutation, changes = []) {
+    /** @type {PendingMutation} */
+    const pending = { changes, sourceId: mutation.sourceId, key: mutation.key, deferred: false };
+
+    if (changes.length > 0) {
+      this.#pending.push(pending);
+      this.#notify({ reason: 'optimistic', sourceId: mutation.sourceId });
+    }
+
+    /** @type {any} */
+    let data;
+    try {
+      data = await cartQueue.enqueue(mutation);
+    } catch (error) {
+      // Keep showing the change: the queue sends it once the connection is back
+      if (error instanceof CartQueueDeferredError) {
+        pending.deferred = true;
+      } else {
+        this.#rollback(pending, '');
+      }
+
+      throw error;
+    }
+
+    const responseError = getResponseError(data);
+
+    if (responseError !== null) {
+      this.#rollback(pending, responseError);
+    } else if (isCart(data)) {
+      this.#removePending(pending);
+      this.#reconcile(data, mutation.sourceId);
+    } else {
+      // Add responses only contain the added items
+      this.#removePending(pending);
+      await this.refresh();
+
+      // The caller reports the add right after this resolves, in a microtask, so its event needn't refresh again
+      this.#refreshedForCaller = true;
+      setTimeout(() => (this.#refreshedForCaller = false));
+    }
+
+    return data;
+  }
+
+  /**
+   * Fetches the cart the first time it's needed.
+   * @returns {Promise<Cart | null>} The cart, or `null` if it couldn't be fetched.
+   */
+  #seed() {
+    if (!this.#seedRequest) this.#seedRequest = this.#fetchCart();
+
+    return this.#seedRequest;
+  }
+
+  /**
+   * Fetches the cart. Calls made before the cart changes again share the same request.
+   * @returns {Promise<Cart | null>} The cart, or `null` if it couldn't be fetched.
+   */
+  #fetchCart() {
+    const revision = this.#revision;
+    if (this.#refreshRequest?.revision === revision) return this.#refreshRequest.promise;
+
+    const promise = fetch(`${Theme.routes.cart_url}.js`)
+      .then((response) => response.json())
+      .then((cart) => {
+        // Skip the cart if a more recent one arrived in the meantime, e.g. in a mutation response
+        if (revision >= this.#appliedRevision) this.#apply(cart, revision);
+
+        return this.cart;
+      })
+      .catch(() => this.cart)
+      .finally(() => {
+        if (this.#refreshRequest?.promise === promise) this.#refreshRequest = null;
+      });
+
+    this.#refreshRequest = { revision, promise };
+
+    return promise;
+  }
+
+  /**
+   * Replaces the confirmed cart with one from a response.
+   * @param {Cart} cart - The cart from the server.
+   * @param {string} [sourceId] - The id of the element the change was triggered from.
+   */
+  #reconcile(cart, sourceId) {
+    this.#revision++;
+    this.#apply(cart, this.#revision, sourceId);
+  }
+
+  /**
+   * @param {Cart} cart - The cart from the server.
+   * @param {number} revision - The revision the cart was fetched at.
+   * @param {string} [sourceId] - The id of the element the change was triggered from.
+   */
+  #apply(cart, revision, sourceId) {
+    this.#cart = cart;
+    this.#appliedRevision = revision;
+    this.#notify({ reason: 'server', sourceId });
+  }
+
+  /**
+   * Drops the changes of a rejected mutation, and fetches the cart in case the server still applied part of it.
+   * @param {PendingMutation} pending - The rejected mutation.
+   * @param {string} error - The error message.
+   */
+  #rollback(pending, error) {
+    this.#removePending(pending);
+    this.#notify({ reason: 'rollback', sourceId: pending.sourceId, error });
+    this.refresh();
+  }
+
+  /**
+   * @param {PendingMutation} pending - The mutation to forget.
+   */
+  #removePending(pending) {
+    const index = this.#pending.indexOf(pending);
+    if (index !== -1) this.#pending.splice(index, 1);
+  }
+
+  /**
+   * @param {CartStoreChange} change - The reason of the change.
+   */
+  #notify(change) {
+    const { cart } = this;
+    if (!cart) return;
+
+    for (const subscriber of this.#subscribers) {
+      try {
+        subscriber(cart, change);
+      } catch (error) {
+        console.error(error);
+      }
+    }
+  }
+
+  /**
+   * Keeps the store in sync with cart changes made outside of it, and with the outcome of deferred mutations.
+   * @param {Event} event - The cart update event.
+   */
+  #onCartUpdate = (event) => {
+    const { resource, sourceId, data } = /** @type {CustomEvent} */ (event).detail ?? {};
+
+    // The queue reports deferred mutations once they're sent
+    if (data?.source === 'cart-queue') this.#removeReported(sourceId, data.key);
+
+    if (isCart(resource)) {
+      this.#reconcile(resource);
+    } else if (this.#refreshedForCaller) {
+      this.#refreshedForCaller = false;
+    } else if (this.#seedRequest) {
+      // Until the store is seeded, the seed fetches the latest cart anyway
+      this.refresh();
+    }
+  };
+
+  /**
+   * Forgets the deferred mutation the queue reported as sent. Mutations with the same key were coalesced by the queue,
+   * so they're all sent. Others are sent in order, so the oldest one of the element is the one reported.
+   * @param {string | undefined} sourceId - The id of the element the mutation was triggered from.
+   * @param {string | undefined} key - The coalescing key of the mutation.
+   */
+  #removeReported(sourceId, key) {
+    if (key) {
+      this.#pending = this.#pending.filter((pending) => !(pending.deferred && pending.key === key));
+      return;
+    }
+
+    const reported = this.#pending.find((pending) => pending.deferred && pending.sourceId === sourceId);
+    if (reported) this.#removePending(reported);
+  }
+
+  /**
+   * Rolls back deferred mutations the queue gave up on.
+   * @param {Event} event - The cart error event.
+   */
+  #onCartError = (event) => {
+    const { sourceId, data } = /** @type {CustomEvent} */ (event).detail ?? {};
+
+    const failed = this.#pending.find((pending) => pending.deferred && pending.sourceId === sourceId);
+    if (failed) this.#rollback(failed, data?.message ?? '');
+  };
+}
+
+export const cartStore = new CartStore();
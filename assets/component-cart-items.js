@@ -1,6 +1,7 @@
 import { Component } from '@theme/component';
+import { CartQueueDeferredError } from '@theme/cart-queue';
+import { cartStore } from '@theme/cart-store';
 import {
-  fetchConfig,
   debounce,
   onAnimationEnd,
   prefersReducedMotion,
@@ -32,12 +33,16 @@ import { cartPerformance } from '@theme/performance';
 class CartItemsComponent extends Component {
   #debouncedOnChange = debounce(this.#onQuantityChange, 300).bind(this);
 
+  /** @type {(() => void) | undefined} */
+  #unsubscribe;
+
   connectedCallback() {
     super.connectedCallback();
 
     document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
     document.addEventListener(ThemeEvents.discountUpdate, this.handleDiscountUpdate);
     document.addEventListener(ThemeEvents.quantitySelectorUpdate, this.#debouncedOnChange);
+    this.#unsubscribe = cartStore.subscribe(this.#onCartChange);
   }
 
   disconnectedCallback() {
@@ -45,8 +50,20 @@ class CartItemsComponent extends Component {
 
     document.removeEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
     document.removeEventListener(ThemeEvents.quantitySelectorUpdate, this.#debouncedOnChange);
+    this.#unsubscribe?.();
   }
 
+  /**
+   * Restores the lines when the server rejects one of our changes, since removed rows are already gone.
+   * @param {import('./cart-store').Cart} _cart - The cart.
+   * @param {import('./cart-store').CartStoreChange} change - The reason of the change.
+   */
+  #onCartChange = (_cart, change) => {
+    if (change.reason !== 'rollback' || change.sourceId !== this.sectionId) return;
+
+    sectionRenderer.renderSection(this.sectionId, { cache: false });
+  };
+
   /**
    * Handles QuantitySelectorUpdateEvent change event.
    * @param {QuantitySelectorUpdateEvent} event - The event.
@@ -76,6 +93,22 @@ class CartItemsComponent extends Component {
     textComponent?.shimmer();
   }
 
+  /**
+   * Saves the line item to the wishlist, then removes it from the cart.
+   * @param {number} line - The line item index.
+   */
+  async onLineItemSaveForLater(line) {
+    const row = this.refs.cartItemRows[line - 1];
+    const { productId, variantId, productUrl } = row?.dataset ?? {};
+    if (!productId || !variantId || !productUrl) return;
+
+    // The button is only rendered when the wishlist is enabled, so the wishlist is loaded on demand
+    const { Wishlist } = await import('@theme/wishlist');
+
+    Wishlist.addItem(productId, variantId, productUrl);
+    this.onLineItemRemove(line);
+  }
+
   /**
    * Handles the line item removal.
    * @param {number} line - The line item index.
@@ -148,22 +181,31 @@ class CartItemsComponent extends Component {
       }
     });
 
-    const body = JSON.stringify({
-      line: line,
+    // Target the line by key when possible, so queued changes still apply to the right line after others are removed
+    const lineKey = this.refs.cartItemRows[line - 1]?.dataset.key;
+
+    const body = {
+      ...(lineKey ? { id: lineKey } : { line }),
       quantity: quantity,
       sections: Array.from(sectionsToUpdate).join(','),
       sections_url: window.location.pathname,
-    });
+    };
 
     cartTotal?.shimmer();
 
-    fetch(`${Theme.routes.cart_change_url}`, fetchConfig('json', { body }))
-      .then((response) => {
-        return response.text();
-      })
-      .then((responseText) => {
-        const parsedResponseText = JSON.parse(responseText);
-
+    cartStore
+      .mutate(
+        {
+          url: Theme.routes.cart_change_url,
+          body,
+          key: `line:${lineKey ?? line}`,
+          sourceId: this.sectionId,
+          // After a reload, the index may point at another line
+          persist: Boolean(lineKey),
+        },
+        [{ line: lineKey ?? line, quantity }]
+      )
+      .then((parsedResponseText) => {
         resetShimmer(this);
 
         if (parsedResponseText.errors) {
@@ -180,9 +222,6 @@ class CartItemsComponent extends Component {
         const newCartHiddenItemCount = newSectionHTML.querySelector('[ref="cartItemCount"]')?.textContent;
         const newCartItemCount = newCartHiddenItemCount ? parseInt(newCartHiddenItemCount, 10) : 0;
 
-        // Update data-cart-quantity for all matching variants
-        this.#updateQuantitySelectors(parsedResponseText);
-
         this.dispatchEvent(
           new CartUpdateEvent(parsedResponseText, this.sectionId, {
             itemCount: newCartItemCount,
@@ -196,6 +235,11 @@ class CartItemsComponent extends Component {
         this.#updateCartQuantitySelectorButtonStates();
       })
       .catch((error) => {
+        resetShimmer(this);
+
+        // The queue sends the change once the connection is back and reports the result
+        if (error instanceof CartQueueDeferredError) return;
+
         console.error(error);
       })
       .finally(() => {
@@ -273,32 +317,6 @@ class CartItemsComponent extends Component {
     this.classList.remove('cart-items-disabled');
   }
 
-  /**
-   * Updates quantity selectors for all matching variants in the cart.
-   * @param {Object} updatedCart - The updated cart object.
-   * @param {Array<{variant_id: number, quantity: number}>} [updatedCart.items] - The cart items.
-   */
-  #updateQuantitySelectors(updatedCart) {
-    if (!updatedCart.items) return;
-
-    for (const item of updatedCart.items) {
-      const variantId = item.variant_id.toString();
-      const selectors = document.querySelectorAll(`quantity-selector-component[data-variant-id="${variantId}"]`);
-
-      for (const selector of selectors) {
-        const input = selector.querySelector('input[data-cart-quantity]');
-        if (!input) continue;
-
-        input.setAttribute('data-cart-quantity', item.quantity.toString());
-
-        // Update the quantity selector's internal state
-        if ('updateCartQuantity' in selector && typeof selector.updateCartQuantity === 'function') {
-          selector.updateCartQuantity();
-        }
-      }
-    }
-  }
-
   /**
    * Updates button states for all cart quantity selector components.
    */
@@ -1,4 +1,5 @@
 import { QuantitySelectorComponent } from '@theme/component-quantity-selector';
+import { cartStore } from '@theme/cart-store';
 
 /**
  * A custom element that allows the user to select a quantity in the cart.
@@ -8,6 +9,46 @@ import { QuantitySelectorComponent } from '@theme/component-quantity-selector';
  * @extends {QuantitySelectorComponent}
  */
 class CartQuantitySelectorComponent extends QuantitySelectorComponent {
+  /** @type {(() => void) | undefined} */
+  #unsubscribe;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#unsubscribe = cartStore.subscribe(this.#onCartChange);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#unsubscribe?.();
+  }
+
+  /**
+   * Keeps the value in sync with the cart store, so optimistic changes and rollbacks show everywhere the line does.
+   * Cart lines are matched by key; in the quick order list, the value is the total quantity of the variant.
+   */
+  #onCartChange = () => {
+    const { quantityInput } = this.refs;
+    const { lineKey, variantId } = this.dataset;
+    if (!quantityInput || !variantId) return;
+
+    const variantQuantity = cartStore.getVariantQuantity(variantId);
+    const quantity = lineKey ? cartStore.getLineQuantity(lineKey) : variantQuantity;
+
+    // The line is being removed, or was added after the store was last updated
+    if (!quantity && lineKey) return;
+
+    quantityInput.setAttribute('data-cart-quantity', variantQuantity.toString());
+
+    // Don't override what the user is typing
+    if (document.activeElement !== quantityInput) {
+      quantityInput.value = String(quantity);
+    }
+
+    this.updateButtonStates();
+  };
+
   /**
    * Gets the effective maximum value for cart quantity selector
    * Cart page: uses absolute max (how much can be in cart total)
@@ -2,12 +2,16 @@ import { Component } from '@theme/component';
 import { debounce, isClickedOutside, onAnimationEnd } from '@theme/utilities';
 
 /**
- * A custom element that manages a dialog.
- *
  * @typedef {object} Refs
  * @property {HTMLDialogElement} dialog – The dialog element.
+ */
+
+/**
+ * A custom element that manages a dialog.
+ * Subclasses with more refs pass their own refs type, e.g. `@extends {DialogComponent<Refs>}`.
  *
- * @extends Component<Refs>
+ * @template {Refs} [T=Refs]
+ * @extends Component<T>
  */
 export class DialogComponent extends Component {
   requiredRefs = ['dialog'];
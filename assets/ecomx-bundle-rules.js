@@ -0,0 +1,219 @@
+/**
+ * Declarative bundle rules for the EcomX quick view.
+ *
+ * Rules are read from `<script type="application/json" data-ecomx-bundle-rules>` elements rendered by the
+ * section (one per source: section blocks, the custom JSON setting, or the legacy bundle handle).
+ * Scripts marked `data-ecomx-bundle-rules="fallback"` are only used when no other script holds valid JSON.
+ * Each script holds an array of rules:
+ *
+ * @example
+ * [{
+ *   "id": "black-medium",
+ *   "match": "all",
+ *   "conditions": [
+ *     { "type": "option", "name": "Color", "value": "Black" },
+ *     { "match": "any", "conditions": [{ "type": "tag", "value": "winter" }, { "type": "variant", "value": 123 }] }
+ *   ],
+ *   "companions": [{ "handle": "soft-winter-jacket", "quantity": 1 }],
+ *   "message": "Save 10% on the jacket"
+ * }]
+ * @module ecomx-bundle-rules
+ */
+
+/**
+ * @typedef {object} BundleCondition
+ * @property {'option' | 'variant' | 'tag'} [type] - The condition type. Omitted for nested groups.
+ * @property {string} [name] - The option name, for option conditions. Any option matches when omitted.
+ * @property {string | number} [value] - The value to compare against.
+ * @property {'all' | 'any'} [match] - How nested conditions are combined, for groups.
+ * @property {BundleCondition[]} [conditions] - The nested conditions, for groups.
+ */
+
+/**
+ * @typedef {object} BundleCompanion
+ * @property {string} handle - The companion product handle.
+ * @property {number} quantity - The quantity to add.
+ * @property {number} [variant_id] - A specific variant to add. Defaults to the first available variant.
+ * @property {string} [title] - The product title, when known at render time.
+ * @property {number} [price] - The variant price in minor units, when known at render time.
+ * @property {string} [image] - The product image URL, when known at render time.
+ * @property {boolean} [available] - Whether the variant can be added, when known at render time.
+ */
+
+/**
+ * @typedef {object} BundleRule
+ * @property {string} id - A unique rule identifier, stored on the cart lines the rule adds.
+ * @property {'all' | 'any'} match - How the top-level conditions are combined.
+ * @property {BundleCondition[]} conditions - The conditions to evaluate.
+ * @property {BundleCompanion[]} companions - The products added alongside the main product.
+ * @property {string} [message] - An optional discount or promotional message.
+ */
+
+/**
+ * @typedef {object} BundleContext
+ * @property {{ handle: string, options: string[], tags?: string[] }} product - The product being added.
+ * @property {{ id: number } | undefined} variant - The selected variant, if any.
+ * @property {Array<string | null>} selectedOptions - The selected option values, in `product.options` order.
+ */
+
+/**
+ * Reads and normalizes every bundle rule rendered inside a root element.
+ * Invalid JSON or malformed rules are skipped with a warning so one bad rule does not disable the others.
+ * The fallback rules are read instead when none of the other scripts holds valid JSON.
+ * @param {ParentNode} root - The element containing the rule scripts.
+ * @returns {BundleRule[]} The normalized rules.
+ */
+export function readBundleRules(root) {
+  /** @type {BundleRule[]} */
+  const rules = [];
+  let hasValidSource = false;
+
+  const selector = 'script[data-ecomx-bundle-rules]:not([data-ecomx-bundle-rules="fallback"])';
+
+  for (const script of root.querySelectorAll(selector)) {
+    const parsed = parseRuleScript(script);
+    if (parsed === undefined) continue;
+
+    hasValidSource = true;
+    addRules(rules, parsed);
+  }
+
+  if (hasValidSource) return rules;
+
+  for (const script of root.querySelectorAll('script[data-ecomx-bundle-rules="fallback"]')) {
+    const parsed = parseRuleScript(script);
+    if (parsed !== undefined) addRules(rules, parsed);
+  }
+
+  return rules;
+}
+
+/**
+ * Parses the JSON of a rule script.
+ * @param {Element} script - The rule script.
+ * @returns {unknown} The parsed JSON, or undefined if the script is empty or invalid.
+ */
+function parseRuleScript(script) {
+  const source = script.textContent?.trim();
+  if (!source) return undefined;
+
+  try {
+    return JSON.parse(source);
+  } catch (error) {
+    console.warn('[EcomX] Ignoring invalid bundle rules JSON', error);
+    return undefined;
+  }
+}
+
+/**
+ * Normalizes parsed rules and adds the valid ones to a list.
+ * @param {BundleRule[]} rules - The list to add the rules to.
+ * @param {unknown} parsed - A parsed rule, or an array of them.
+ */
+function addRules(rules, parsed) {
+  for (const rule of Array.isArray(parsed) ? parsed : [parsed]) {
+    const normalized = normalizeRule(rule, rules.length);
+    if (normalized) rules.push(normalized);
+  }
+}
+
+/**
+ * Normalizes a raw rule object.
+ * @param {any} rule - The raw rule.
+ * @param {number} index - The position of the rule, used to build a fallback ID.
+ * @returns {BundleRule | null} The normalized rule, or null if it has no companions.
+ */
+function normalizeRule(rule, index) {
+  if (!rule || typeof rule !== 'object') return null;
+
+  const companions = (Array.isArray(rule.companions) ? rule.companions : [])
+    .filter((/** @type {any} */ companion) => companion && typeof companion.handle === 'string' && companion.handle)
+    .map((/** @type {any} */ companion) => ({
+      ...companion,
+      quantity: Math.max(1, parseInt(companion.quantity, 10) || 1),
+    }));
+
+  if (!companions.length) return null;
+
+  return {
+    id: String(rule.id || `rule-${index + 1}`),
+    match: rule.match === 'any' ? 'any' : 'all',
+    conditions: Array.isArray(rule.conditions) ? rule.conditions : [],
+    companions,
+    message: typeof rule.message === 'string' ? rule.message : '',
+  };
+}
+
+/**
+ * Compares two values case-insensitively.
+ * @param {unknown} a
+ * @param {unknown} b
+ * @returns {boolean}
+ */
+function equalsIgnoreCase(a, b) {
+  return String(a ?? '').trim().toLowerCase() === String(b ?? '').trim().toLowerCase();
+}
+
+/**
+ * Evaluates a single condition, or a nested group of conditions.
+ * @param {BundleCondition} condition - The condition to evaluate.
+ * @param {BundleContext} context - The current selection.
+ * @returns {boolean} Whether the condition is met.
+ */
+function evaluateCondition(condition, context) {
+  if (Array.isArray(condition.conditions)) {
+    return evaluateConditions(condition.conditions, condition.match === 'any' ? 'any' : 'all', context);
+  }
+
+  const { product, variant, selectedOptions } = context;
+
+  switch (condition.type) {
+    case 'option': {
+      if (!condition.name) {
+        return selectedOptions.some((value) => value != null && equalsIgnoreCase(value, condition.value));
+      }
+
+      const optionIndex = product.options.findIndex((name) => equalsIgnoreCase(name, condition.name));
+      return optionIndex !== -1 && equalsIgnoreCase(selectedOptions[optionIndex], condition.value);
+    }
+    case 'variant':
+      return !!variant && String(variant.id) === String(condition.value);
+    case 'tag':
+      return (product.tags ?? []).some((tag) => equalsIgnoreCase(tag, condition.value));
+    default:
+      return false;
+  }
+}
+
+/**
+ * Evaluates a list of conditions with AND/OR logic.
+ * A rule without conditions always applies.
+ * @param {BundleCondition[]} conditions - The conditions to evaluate.
+ * @param {'all' | 'any'} match - How the conditions are combined.
+ * @param {BundleContext} context - The current selection.
+ * @returns {boolean} Whether the conditions are met.
+ */
+function evaluateConditions(conditions, match, context) {
+  if (!conditions.length) return true;
+
+  return match === 'any'
+    ? conditions.some((condition) => evaluateCondition(condition, context))
+    : conditions.every((condition) => evaluateCondition(condition, context));
+}
+
+/**
+ * Returns the rules that apply to the current selection.
+ * Companions pointing at the product being added are dropped, and rules left without companions are skipped.
+ * @param {BundleRule[]} rules - The rules to evaluate.
+ * @param {BundleContext} context - The current selection.
+ * @returns {BundleRule[]} The matching rules.
+ */
+export function matchBundleRules(rules, context) {
+  return rules
+    .filter((rule) => evaluateConditions(rule.conditions, rule.match, context))
+    .map((rule) => ({
+      ...rule,
+      companions: rule.companions.filter((companion) => companion.handle !== context.product.handle),
+    }))
+    .filter((rule) => rule.companions.length > 0);
+}
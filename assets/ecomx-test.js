@@ -1,23 +1,41 @@
 ﻿/**
  * ============================================================
- * EcomExperts Shopify Test - Vanilla JS (no jQuery)
+ * EcomExperts Shopify Test - Quick view component
  * ============================================================
  *
  * Responsibilities:
- * 1. Open product quick-view modal when hotspot is clicked.
- * 2. Fetch product data from /products/:handle.js endpoint.
- * 3. Render product title, price, description, and featured image.
- * 4. Dynamically render variant options:
- *    - Color-type options as radio pill buttons.
- *    - Size-type options as a <select> dropdown.
- * 5. Update displayed price when variant selection changes.
- * 6. Add selected variant to cart via /cart/add.js (POST).
- * 7. Special bundle rule: when selected options include both
- *    "Black" AND "Medium", automatically add the product with
- *    handle "soft-winter-jacket" to the cart as well.
- * 8. Keyboard accessible (Escape closes modal, focus trap).
+ * 1. <ecomx-quick-view> wraps the product grid section and opens its
+ *    quick-view dialog (DialogComponent) when a hotspot is clicked.
+ * 2. The product part of the dialog is rendered by the ecomx-quick-view
+ *    section through the Section Rendering API and cached per product.
+ *    It contains the theme's own variant picker, price, SKU and
+ *    inventory blocks, which update themselves from the
+ *    VariantSelectedEvent / VariantUpdateEvent dispatched by the picker.
+ * 3. Sold-out option combinations are marked by the variant picker, and
+ *    the add to cart button follows the selected variant's availability.
+ * 4. Bundle rules: declarative rules (section blocks, custom JSON or
+ *    the legacy bundle handle) match option/variant/tag conditions and
+ *    add companion products. Matching bundles are previewed in the dialog
+ *    (prices formatted with the shop money format) and reported through
+ *    CartAddEvent data.
+ *    The product and its companions are added in a single request. If
+ *    any line is missing afterwards the bundle is rolled back and the
+ *    shopper is asked whether to add the product on its own; unavailable
+ *    companions are confirmed before anything is added.
  */
 
+import { DialogCloseEvent, DialogComponent } from "@theme/dialog";
+import {
+  CartAddEvent,
+  CartErrorEvent,
+  CartUpdateEvent,
+  ThemeEvents,
+  VariantUpdateEvent,
+} from "@theme/events";
+import { formatMoney } from "@theme/money-formatting";
+import { morph } from "@theme/morph";
+import { matchBundleRules, readBundleRules } from "@theme/ecomx-bundle-rules";
+
 /*  Type definitions for Shopify product JSON (/products/:handle.js)  */
 
 /**
@@ -38,401 +56,820 @@
  * @property {number} price
  * @property {string[]} images
  * @property {string[]} options
+ * @property {string[]} [tags]
  * @property {ShopifyVariant[]} variants
  */
 
-(() => {
-  "use strict";
+/*  Type definitions for the Shopify cart (/cart.js, /cart/add.js)  */
 
-  /*  Helpers  */
+/**
+ * @typedef {object} CartLine
+ * @property {string} key
+ * @property {number} variant_id
+ * @property {number} quantity
+ */
 
-  /**
-   * Format price from cents to a readable currency string.
-   * Shopify /products/:handle.js returns price in cents.
-   * @param {number} cents - Price in cents.
-   * @returns {string} Formatted price (e.g. "980.00EUR").
-   */
-  const formatMoney = (cents) => {
-    const value = (cents / 100).toFixed(2);
-    return `${value}\u20AC`;
-  };
+/**
+ * @typedef {object} Cart
+ * @property {number} item_count
+ * @property {CartLine[]} items
+ */
 
-  /**
-   * Fetch product JSON from Shopify storefront endpoint.
-   * @param {string} handle - Product handle (URL slug).
-   * @returns {Promise<ShopifyProduct>} Product data object.
-   */
-  const fetchProduct = async (handle) => {
-    const response = await fetch(`/products/${handle}.js`, {
-      headers: { Accept: "application/json" },
-    });
-    if (!response.ok) throw new Error(`Failed to fetch product: ${handle}`);
-    return /** @type {Promise<ShopifyProduct>} */ (response.json());
-  };
+/**
+ * @typedef {object} CartItemInput
+ * @property {number} id
+ * @property {number} quantity
+ * @property {Record<string, string>} [properties]
+ */
 
-  /**
-   * Add one or more items to the Shopify cart.
-   * @param {number} variantId - The variant ID to add.
-   * @param {number} [quantity=1] - Quantity to add.
-   * @returns {Promise<unknown>} Cart response.
-   */
-  const addToCart = async (variantId, quantity = 1) => {
-    const response = await fetch("/cart/add.js", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Accept: "application/json",
-      },
-      body: JSON.stringify({ items: [{ id: variantId, quantity }] }),
-    });
-    if (!response.ok) throw new Error("Add to cart failed");
-    return response.json();
-  };
+/**
+ * @typedef {import("@theme/ecomx-bundle-rules").BundleRule} BundleRule
+ * @typedef {import("@theme/ecomx-bundle-rules").BundleCompanion} BundleCompanion
+ */
 
-  /*  Variant logic  */
+/**
+ * A companion resolved to the variant that will be added.
+ * @typedef {object} ResolvedCompanion
+ * @property {BundleRule} rule
+ * @property {number} variantId
+ * @property {number} quantity
+ * @property {string} title
+ * @property {number} price
+ * @property {string} image
+ * @property {boolean} available
+ */
 
-  /**
-   * Determine if an option name represents "Size".
-   * We render sizes as a dropdown instead of pills.
-   * @param {string} name - Option name (e.g. "Size", "Color").
-   * @returns {boolean}
-   */
-  const isSizeOption = (name) => {
-    return /size/i.test(name);
-  };
+/*  Helpers  */
 
-  /**
-   * Collect currently selected option values from the form.
-   * Returns values in the same order as product.options.
-   * @param {HTMLElement} container - The variants container element.
-   * @returns {Array<string|null>} Selected option values.
-   */
-  const getSelectedOptions = (container) => {
-    const fieldsets = container.querySelectorAll("[data-ecomx-option]");
-    return Array.from(fieldsets).map((fieldset) => {
-      // Check for radio buttons first (Color pills)
-      const checkedRadio = /** @type {HTMLInputElement|null} */ (
-        fieldset.querySelector("input[type='radio']:checked")
-      );
-      if (checkedRadio) return checkedRadio.value;
+/**
+ * Pick the plural form of a translation for a count, in the storefront language.
+ * @param {string} key - The translation key, without its `_one` or `_other` suffix.
+ * @param {number} count - The number the translation refers to.
+ * @returns {string} The translation, or an empty string if it is missing.
+ */
+const translatePlural = (key, count) => {
+  const category = new Intl.PluralRules(Theme.localization.language).select(count);
+  return Theme.translations[`${key}_${category}`] ?? Theme.translations[`${key}_other`] ?? "";
+};
 
-      // Check for select dropdown (Size)
-      const select = /** @type {HTMLSelectElement|null} */ (
-        fieldset.querySelector("select")
-      );
-      if (select && select.value) return select.value;
+/**
+ * Fetch product JSON from Shopify storefront endpoint.
+ * @param {string} handle - Product handle (URL slug).
+ * @returns {Promise<ShopifyProduct>} Product data object.
+ */
+const fetchProduct = async (handle) => {
+  const response = await fetch(`/products/${handle}.js`, {
+    headers: { Accept: "application/json" },
+  });
+  if (!response.ok) throw new Error(`Failed to fetch product: ${handle}`);
+  return /** @type {Promise<ShopifyProduct>} */ (response.json());
+};
 
-      return null;
-    });
-  };
+/**
+ * Fetch the current cart.
+ * @returns {Promise<Cart>} Cart object.
+ */
+const fetchCart = async () => {
+  const response = await fetch(`${Theme.routes.cart_url}.js`, {
+    headers: { Accept: "application/json" },
+  });
+  if (!response.ok) throw new Error("Failed to fetch cart");
+  return response.json();
+};
 
-  /**
-   * Find matching variant based on selected options.
-   * Only returns available (in-stock) variants.
-   * @param {ShopifyProduct} product - Product data from /products/:handle.js.
-   * @param {Array<string|null>} selectedOptions - Current selections.
-   * @returns {ShopifyVariant|undefined} Matching variant or undefined.
-   */
-  const findMatchingVariant = (product, selectedOptions) => {
-    return product.variants.find((variant) => {
-      if (!variant.available) return false;
-      return variant.options.every(
-        (opt, idx) => opt === selectedOptions[idx]
-      );
-    });
-  };
+/**
+ * Companion products are shared between every rule and every modal
+ * opening, so their JSON is only fetched once per page view.
+ * @type {Map<string, Promise<ShopifyProduct>>}
+ */
+const companionCache = new Map();
 
+/**
+ * Fetch a companion product, reusing a previous request when possible.
+ * @param {string} handle - Product handle (URL slug).
+ * @returns {Promise<ShopifyProduct>} Product data object.
+ */
+const fetchCompanionProduct = (handle) => {
+  let request = companionCache.get(handle);
+  if (!request) {
+    request = fetchProduct(handle);
+    // Drop failed requests so the next opening can retry
+    request.catch(() => companionCache.delete(handle));
+    companionCache.set(handle, request);
+  }
+  return request;
+};
+
+/**
+ * Error thrown when the cart rejects an add.
+ * Keeps the response payload so it can be forwarded to CartErrorEvent.
+ */
+class CartAddError extends Error {
   /**
-   * Render variant option controls dynamically.
-   * - Color-type options render as radio pill buttons.
-   * - Size-type options render as a <select> dropdown.
-   * @param {ShopifyProduct} product - Product data.
-   * @param {HTMLElement} root - Container to inject controls into.
+   * @param {{ message?: string, description?: string, errors?: unknown }} data - The error response.
    */
-  const renderVariants = (product, root) => {
-    root.innerHTML = "";
-
-    product.options.forEach((optionName, optionIndex) => {
-      // Get unique values for this option, preserving order
-      /** @type {string[]} */
-      const values = [];
-      /** @type {Set<string>} */
-      const seen = new Set();
-      product.variants.forEach((v) => {
-        const val = v.options[optionIndex];
-        if (val !== undefined && !seen.has(val)) {
-          seen.add(val);
-          values.push(val);
-        }
-      });
+  constructor(data) {
+    super(data.description || data.message || Theme.translations.quick_view_add_error);
+    this.data = data;
+  }
+}
 
-      // Create fieldset wrapper
-      const fieldset = document.createElement("fieldset");
-      fieldset.className = "ecomx-option";
-      fieldset.setAttribute("data-ecomx-option", "");
-
-      // Legend / label
-      const legend = document.createElement("legend");
-      legend.className = "ecomx-option__label";
-      legend.textContent = optionName;
-      fieldset.appendChild(legend);
-
-      if (isSizeOption(optionName)) {
-        //  Render as <select> dropdown 
-        const select = document.createElement("select");
-        select.className = "ecomx-select";
-        select.name = `ecomx-opt-${optionIndex}`;
-
-        // Placeholder option
-        const placeholder = document.createElement("option");
-        placeholder.value = "";
-        placeholder.textContent = "Choose your size";
-        placeholder.disabled = true;
-        placeholder.selected = true;
-        select.appendChild(placeholder);
-
-        values.forEach((val) => {
-          const option = document.createElement("option");
-          option.value = val;
-          option.textContent = val;
-          select.appendChild(option);
-        });
-
-        fieldset.appendChild(select);
-      } else {
-        //  Render as radio pill buttons 
-        const valuesContainer = document.createElement("div");
-        valuesContainer.className = "ecomx-option__values";
+/**
+ * Add several items to the Shopify cart in a single /cart/add.js request.
+ * @param {CartItemInput[]} items - The items to add.
+ * @param {string[]} [sections] - Section IDs to render in the response.
+ * @returns {Promise<{ items: CartLine[], sections?: Record<string, string> }>} Cart response.
+ */
+const addItemsToCart = async (items, sections = []) => {
+  const response = await fetch(Theme.routes.cart_add_url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Accept: "application/json",
+    },
+    body: JSON.stringify({
+      items,
+      sections: sections.length ? sections.join(",") : undefined,
+    }),
+  });
+
+  const data = await response.json();
+  if (!response.ok || data.status) throw new CartAddError(data);
+  return data;
+};
+
+/**
+ * Restore the quantities of the given variants to a previous cart snapshot.
+ * Used to undo a partially applied bundle add.
+ * @param {Cart} snapshot - The cart before the add.
+ * @param {number[]} variantIds - The variants that were part of the add.
+ * @returns {Promise<Cart|null>} The restored cart, or null if nothing had to be undone.
+ */
+const rollbackCart = async (snapshot, variantIds) => {
+  const current = await fetchCart();
+  const previousQuantities = new Map(
+    snapshot.items.map((line) => [line.key, line.quantity])
+  );
+
+  /** @type {Record<string, number>} */
+  const updates = {};
+  current.items.forEach((line) => {
+    if (!variantIds.includes(line.variant_id)) return;
+
+    const previousQuantity = previousQuantities.get(line.key) ?? 0;
+    if (line.quantity > previousQuantity) updates[line.key] = previousQuantity;
+  });
 
-        values.forEach((val, i) => {
-          const id = `ecomx-${optionIndex}-${i}-${product.id}`;
+  if (!Object.keys(updates).length) return null;
 
-          const label = document.createElement("label");
-          label.className = "ecomx-pill";
-          label.setAttribute("for", id);
+  const response = await fetch(Theme.routes.cart_update_url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Accept: "application/json",
+    },
+    body: JSON.stringify({ updates }),
+  });
+  if (!response.ok) throw new Error("Cart rollback failed");
+  return response.json();
+};
 
-          const input = document.createElement("input");
-          input.type = "radio";
-          input.name = `ecomx-opt-${optionIndex}`;
-          input.value = val;
-          input.id = id;
+/**
+ * Collect the section IDs of cart-items components on the page so the
+ * cart drawer can be re-rendered from the add response.
+ * @returns {string[]} Section IDs.
+ */
+const getCartSectionIds = () => {
+  /** @type {string[]} */
+  const sectionIds = [];
+  document.querySelectorAll("cart-items-component").forEach((item) => {
+    const { sectionId } = /** @type {HTMLElement} */ (item).dataset;
+    if (sectionId && !sectionIds.includes(sectionId)) sectionIds.push(sectionId);
+  });
+  return sectionIds;
+};
 
-          // Select the first value by default
-          if (i === 0) input.checked = true;
+/*  Quick view content  */
 
-          const span = document.createElement("span");
-          span.textContent = val;
+/**
+ * The product part of the quick view, as rendered by the ecomx-quick-view section.
+ * @typedef {object} QuickViewContent
+ * @property {Element} media - The product media.
+ * @property {Element} info - The product information, including the variant picker.
+ * @property {ShopifyProduct} product - The product JSON.
+ * @property {ShopifyVariant|null} variant - The initially selected variant.
+ */
 
-          label.appendChild(input);
-          label.appendChild(span);
-          valuesContainer.appendChild(label);
-        });
+/**
+ * Read the JSON embedded in a script element.
+ * @param {ParentNode} root - The element containing the script.
+ * @param {string} selector - The script selector.
+ * @returns {any} The parsed JSON, or null if the script is missing.
+ */
+const readJson = (root, selector) => {
+  const script = root.querySelector(selector);
+  return script?.textContent ? JSON.parse(script.textContent) : null;
+};
 
-        fieldset.appendChild(valuesContainer);
-      }
+/**
+ * Extract the quick view parts from a Section Rendering API response.
+ * @param {ParentNode} html - The rendered section.
+ * @returns {QuickViewContent|null} The quick view parts, or null if the response is incomplete.
+ */
+const parseQuickViewContent = (html) => {
+  const media = html.querySelector("[data-ecomx-media]");
+  const info = html.querySelector("[data-ecomx-info]");
+  const product = readJson(html, "script[data-ecomx-product]");
+  if (!media || !info || !product) return null;
 
-      root.appendChild(fieldset);
-    });
+  return { media, info, product, variant: readJson(html, "script[data-ecomx-variant]") };
+};
+
+/*  Bundle rules  */
+
+/**
+ * Resolve a companion to the variant that will be added.
+ * Companions rendered from section blocks already carry their variant,
+ * title and price; companions from custom JSON are fetched by handle.
+ * @param {BundleRule} rule - The rule the companion belongs to.
+ * @param {BundleCompanion} companion - The companion to resolve.
+ * @returns {Promise<ResolvedCompanion|null>} The resolved companion, or null if it has no variants.
+ */
+const resolveCompanion = async (rule, companion) => {
+  if (companion.variant_id && companion.title && companion.price != null) {
+    return {
+      rule,
+      variantId: companion.variant_id,
+      quantity: companion.quantity,
+      title: companion.title,
+      price: companion.price,
+      image: companion.image || "",
+      available: companion.available !== false,
+    };
+  }
+
+  const product = await fetchCompanionProduct(companion.handle);
+  const variant =
+    product.variants.find((v) => v.id === companion.variant_id) ||
+    product.variants.find((v) => v.available) ||
+    product.variants[0];
+
+  if (!variant) return null;
+
+  return {
+    rule,
+    variantId: variant.id,
+    quantity: companion.quantity,
+    title: product.title,
+    price: variant.price,
+    image: product.images && product.images.length ? product.images[0] || "" : "",
+    available: variant.available,
   };
+};
+
+/**
+ * Resolve every companion of the given rules.
+ * Companions that fail to load are skipped so the others still apply.
+ * @param {BundleRule[]} rules - The matching rules.
+ * @returns {Promise<ResolvedCompanion[]>} The resolved companions.
+ */
+const resolveCompanions = async (rules) => {
+  const settled = await Promise.allSettled(
+    rules.flatMap((rule) =>
+      rule.companions.map((companion) => resolveCompanion(rule, companion))
+    )
+  );
+
+  /** @type {ResolvedCompanion[]} */
+  const companions = [];
+  settled.forEach((result) => {
+    if (result.status === "fulfilled" && result.value) {
+      companions.push(result.value);
+    } else if (result.status === "rejected") {
+      console.warn("[EcomX] Could not load bundle companion:", result.reason);
+    }
+  });
+  return companions;
+};
+
+/**
+ * Render the bundle preview shown above the add to cart button.
+ * @param {HTMLElement} root - The preview container.
+ * @param {BundleRule[]} rules - The matching rules.
+ * @param {ResolvedCompanion[]} companions - The resolved companions.
+ * @param {string} moneyFormat - The shop money format.
+ * @param {string} currency - The currency ISO code.
+ */
+const renderBundlePreview = (root, rules, companions, moneyFormat, currency) => {
+  root.innerHTML = "";
+  root.hidden = companions.length === 0;
+  if (!companions.length) return;
+
+  const heading = document.createElement("p");
+  heading.className = "ecomx-bundle__heading";
+  heading.textContent = root.getAttribute("data-heading") || Theme.translations.quick_view_bundle_heading || "";
+  root.appendChild(heading);
+
+  const list = document.createElement("ul");
+  list.className = "ecomx-bundle__items";
+
+  companions.forEach((companion) => {
+    const item = document.createElement("li");
+    item.className = "ecomx-bundle__item";
+    if (!companion.available) item.classList.add("ecomx-bundle__item--unavailable");
+
+    if (companion.image) {
+      const img = document.createElement("img");
+      img.className = "ecomx-bundle__img";
+      img.src = companion.image;
+      img.alt = "";
+      img.width = 48;
+      img.height = 48;
+      img.loading = "lazy";
+      item.appendChild(img);
+    }
+
+    const title = document.createElement("span");
+    title.className = "ecomx-bundle__title";
+    title.textContent =
+      companion.quantity > 1
+        ? `${companion.title} \u00D7 ${companion.quantity}`
+        : companion.title;
+    item.appendChild(title);
+
+    const price = document.createElement("span");
+    price.className = "ecomx-bundle__price";
+    price.textContent = formatMoney(companion.price * companion.quantity, moneyFormat, currency);
+    item.appendChild(price);
+
+    list.appendChild(item);
+  });
+  root.appendChild(list);
+
+  rules
+    .filter((rule) => rule.message)
+    .forEach((rule) => {
+      const message = document.createElement("p");
+      message.className = "ecomx-bundle__message";
+      message.textContent = rule.message || "";
+      root.appendChild(message);
+    });
+};
+
+/**
+ * Show a prompt asking the shopper how to continue when the bundle
+ * cannot be added as configured.
+ * @param {HTMLElement} root - The prompt container.
+ * @param {string} message - What went wrong.
+ * @param {string} actionLabel - Label of the confirm button.
+ * @param {() => void} onConfirm - Called when the shopper confirms.
+ */
+const renderBundlePrompt = (root, message, actionLabel, onConfirm) => {
+  root.innerHTML = "";
+  root.hidden = false;
+
+  const text = document.createElement("p");
+  text.className = "ecomx-bundle-prompt__message";
+  text.textContent = message;
+  root.appendChild(text);
+
+  const confirm = document.createElement("button");
+  confirm.type = "button";
+  confirm.className = "ecomx-bundle-prompt__button";
+  confirm.textContent = actionLabel;
+  confirm.addEventListener("click", onConfirm, { once: true });
+  root.appendChild(confirm);
+
+  confirm.focus();
+};
+
+/**
+ * Hide the bundle prompt.
+ * @param {HTMLElement|null} root - The prompt container.
+ */
+const clearBundlePrompt = (root) => {
+  if (!root) return;
+  root.innerHTML = "";
+  root.hidden = true;
+};
+
+/*  Quick view component  */
+
+/**
+ * A custom element that shows a quick view of the products in the EcomX product grid.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLDialogElement} dialog - The dialog element.
+ * @property {HTMLElement} media - The container for the product media.
+ * @property {HTMLElement} info - The container for the product information.
+ * @property {HTMLFormElement} form - The add to cart form.
+ * @property {HTMLButtonElement} addButton - The add to cart button.
+ * @property {HTMLElement} addButtonText - The label of the add to cart button.
+ * @property {HTMLElement} status - The status message.
+ * @property {HTMLElement} [bundlePreview] - The preview of matching bundle companions.
+ * @property {HTMLElement} [bundlePrompt] - The prompt shown when a bundle cannot be added as configured.
+ *
+ * @extends {DialogComponent<Refs>}
+ */
+class EcomxQuickView extends DialogComponent {
+  requiredRefs = ["dialog", "media", "info", "form", "addButton", "addButtonText", "status"];
+
+  /** @type {AbortController | null} */
+  #abortController = null;
+
+  /** @type {AbortController | null} */
+  #fetchController = null;
 
   /**
-   * Update the status message element.
-   * @param {HTMLElement} el - Status element.
-   * @param {string} msg - Message to display (empty to clear).
+   * Rendered quick views, keyed by product URL.
+   * @type {Map<string, QuickViewContent>}
    */
-  const setStatus = (el, msg) => {
-    el.textContent = msg || "";
-  };
+  #cachedContent = new Map();
 
-  /*  Grid initialisation  */
+  /** @type {BundleRule[]} */
+  #bundleRules = [];
+
+  /** @type {ShopifyProduct | null} */
+  #product = null;
+
+  /** @type {ShopifyVariant | null} */
+  #variant = null;
 
   /**
-   * Initialise event listeners and popup logic for a grid section.
-   * @param {HTMLElement} gridEl - The [data-ecomx-grid] container.
+   * Which companions the next submit should include. Reset on every
+   * selection change, and lowered when the shopper accepts a prompt.
+   * @type {"all" | "available" | "none"}
    */
-  const initGrid = (gridEl) => {
-    // Cache DOM references  bail out if the modal is missing
-    const modal = /** @type {HTMLElement|null} */ (
-      gridEl.querySelector("[data-ecomx-modal]")
-    );
-    if (!modal) return;
-
-    const closeButtons = modal.querySelectorAll("[data-ecomx-close]");
-    const imgEl = /** @type {HTMLImageElement|null} */ (
-      modal.querySelector("[data-ecomx-modal-img]")
-    );
-    const titleEl = /** @type {HTMLElement|null} */ (
-      modal.querySelector("[data-ecomx-modal-title]")
-    );
-    const priceEl = /** @type {HTMLElement|null} */ (
-      modal.querySelector("[data-ecomx-modal-price]")
-    );
-    const descEl = /** @type {HTMLElement|null} */ (
-      modal.querySelector("[data-ecomx-modal-desc]")
-    );
-    const variantsRoot = /** @type {HTMLElement|null} */ (
-      modal.querySelector("[data-ecomx-variants]")
-    );
-    const formEl = /** @type {HTMLFormElement|null} */ (
-      modal.querySelector("[data-ecomx-form]")
-    );
-    const statusEl = /** @type {HTMLElement|null} */ (
-      modal.querySelector("[data-ecomx-status]")
-    );
-
-    // Abort if any critical element is missing
-    if (!imgEl || !titleEl || !priceEl || !descEl || !variantsRoot || !formEl || !statusEl) return;
-
-    // Bundle product handle from data attribute
-    const bundleHandle =
-      gridEl.getAttribute("data-bundle-handle") || "soft-winter-jacket";
-
-    // Track currently loaded product
-    /** @type {ShopifyProduct|null} */
-    let activeProduct = null;
-
-    /*  Modal open / close  */
-
-    const openModal = () => {
-      modal.hidden = false;
-      document.documentElement.classList.add("ecomx-lock");
-
-      // Accessibility: move focus to close button
-      const closeBtn = /** @type {HTMLElement|null} */ (
-        modal.querySelector(".ecomx-modal__close")
-      );
-      if (closeBtn) closeBtn.focus();
-    };
+  #companionMode = "all";
 
-    const closeModal = () => {
-      modal.hidden = true;
-      document.documentElement.classList.remove("ecomx-lock");
-      setStatus(statusEl, "");
-      activeProduct = null;
-    };
+  /** Incremented on every selection so stale previews are discarded */
+  #bundleRequest = 0;
 
-    // Close on overlay click or close-button click
-    closeButtons.forEach((btn) =>
-      btn.addEventListener("click", closeModal)
-    );
+  connectedCallback() {
+    super.connectedCallback();
 
-    // Close on Escape key
-    document.addEventListener("keydown", (e) => {
-      if (!modal.hidden && e.key === "Escape") closeModal();
-    });
+    // Recreated on every connect, as a moved element is disconnected first
+    this.#abortController = new AbortController();
+    const { signal } = this.#abortController;
+    this.#bundleRules = readBundleRules(this);
 
-    /*  Hotspot click  open popup  */
+    this.addEventListener(ThemeEvents.variantSelected, this.#onVariantSelected, { signal });
+    this.addEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate, { signal });
+    this.addEventListener(DialogCloseEvent.eventName, this.#reset, { signal });
 
-    gridEl.addEventListener("click", async (e) => {
-      const target = /** @type {HTMLElement|null} */ (e.target);
-      if (!target) return;
+    // Availability may have changed, so rendered quick views are stale
+    document.addEventListener(ThemeEvents.cartUpdate, () => this.#cachedContent.clear(), { signal });
+  }
 
-      const trigger = target.closest("[data-ecomx-open]");
-      if (!trigger) return;
+  disconnectedCallback() {
+    super.disconnectedCallback();
 
-      const handle = trigger.getAttribute("data-handle");
-      if (!handle) return;
+    this.#abortController?.abort();
+    this.#fetchController?.abort();
+  }
 
-      try {
-        setStatus(statusEl, "Loading...");
-        openModal();
+  /**
+   * The shop money format, used for prices that are not rendered by the server.
+   * @returns {string}
+   */
+  get moneyFormat() {
+    return this.dataset.moneyFormat || "{{amount}}";
+  }
 
-        activeProduct = await fetchProduct(handle);
+  /**
+   * The currency ISO code.
+   * @returns {string}
+   */
+  get currency() {
+    return this.dataset.currency || "USD";
+  }
 
-        // Populate popup UI
-        titleEl.textContent = activeProduct.title;
-        priceEl.textContent = formatMoney(activeProduct.price);
-        descEl.innerHTML = activeProduct.description || "";
+  /**
+   * Opens the quick view for the product of the clicked hotspot.
+   * @param {Event} event - The click event.
+   */
+  open = async (event) => {
+    const trigger = /** @type {HTMLElement} */ (event.target);
+    const { productUrl } = trigger.dataset;
+    if (!productUrl) return;
+
+    this.#reset();
+    this.refs.media.replaceChildren();
+    this.refs.info.replaceChildren();
+    this.#setStatus(Theme.translations.quick_view_loading ?? "");
+    this.showDialog();
+
+    try {
+      const content = await this.#getQuickViewContent(productUrl);
+      if (!content) return;
+
+      const fresh = /** @type {QuickViewContent} */ ({
+        ...content,
+        media: content.media.cloneNode(true),
+        info: content.info.cloneNode(true),
+      });
 
-        // Set featured image
-        const featuredImage =
-          activeProduct.images && activeProduct.images.length
-            ? activeProduct.images[0]
-            : "";
-        imgEl.src = featuredImage || "";
-        imgEl.alt = activeProduct.title;
+      morph(this.refs.media, fresh.media, { childrenOnly: true });
+      morph(this.refs.info, fresh.info, { childrenOnly: true });
+
+      this.#product = fresh.product;
+      this.#variant = fresh.variant;
+      this.#setStatus("");
+      this.#updateAddButton();
+      this.#updateBundlePreview();
+    } catch (error) {
+      console.error("[EcomX]", error);
+      this.#setStatus(Theme.translations.quick_view_error ?? "");
+    }
+  };
 
-        // Render variant selectors
-        renderVariants(activeProduct, variantsRoot);
-        setStatus(statusEl, "");
-      } catch (err) {
-        console.error("[EcomX]", err);
-        setStatus(statusEl, "Failed to load product.");
-      }
-    });
+  /**
+   * Fetches the quick view of a product, reusing a previous response when possible.
+   * @param {string} productUrl - The product URL.
+   * @returns {Promise<QuickViewContent|null>} The quick view, or null if the request was superseded.
+   */
+  async #getQuickViewContent(productUrl) {
+    const cached = this.#cachedContent.get(productUrl);
+    if (cached) return cached;
+
+    // Abort the previous request if a different hotspot was clicked meanwhile
+    this.#fetchController?.abort();
+    this.#fetchController = new AbortController();
+
+    const url = new URL(productUrl, window.location.origin);
+    url.searchParams.set("section_id", "ecomx-quick-view");
+
+    try {
+      const response = await fetch(url, { signal: this.#fetchController.signal });
+      if (!response.ok) throw new Error(`Failed to fetch quick view: HTTP error ${response.status}`);
+
+      const html = new DOMParser().parseFromString(await response.text(), "text/html");
+      const content = parseQuickViewContent(html);
+      if (!content) throw new Error(`Incomplete quick view for ${productUrl}`);
+
+      this.#cachedContent.set(productUrl, content);
+      return content;
+    } catch (error) {
+      if (error instanceof Error && error.name === "AbortError") return null;
+      throw error;
+    } finally {
+      this.#fetchController = null;
+    }
+  }
 
-    /*  Update price when options change  */
+  /**
+   * Disable the add to cart button while the variant picker fetches the new variant.
+   */
+  #onVariantSelected = () => {
+    this.refs.addButton.disabled = true;
+  };
 
-    variantsRoot.addEventListener("change", () => {
-      if (!activeProduct) return;
+  /**
+   * Sync the selected variant, media and bundle preview after a variant change.
+   * The price, SKU and inventory blocks update themselves from the same event.
+   * @param {VariantUpdateEvent} event - The variant update event.
+   */
+  #onVariantUpdate = (event) => {
+    if (!this.#product) return;
+
+    const { html, newProduct } = event.detail.data;
+
+    // Combined listings can switch to another product
+    if (newProduct) {
+      const content = parseQuickViewContent(html);
+      const title = this.refs.info.querySelector(".ecomx-modal__title");
+      const newTitle = content?.info.querySelector(".ecomx-modal__title");
+
+      if (content) this.#product = content.product;
+      if (title && newTitle) title.replaceWith(newTitle);
+    }
+
+    const media = html.querySelector("[data-ecomx-media]");
+    if (media) morph(this.refs.media, media, { childrenOnly: true });
+
+    // The event only carries part of the variant, the rest is in the product JSON
+    const resource = event.detail.resource;
+    const variant = resource && this.#product.variants.find((variant) => String(variant.id) === String(resource.id));
+    this.#variant = variant ? { ...variant, available: resource.available } : null;
+    this.#companionMode = "all";
+    clearBundlePrompt(this.refs.bundlePrompt ?? null);
+    this.#setStatus("");
+    this.#updateAddButton();
+    this.#updateBundlePreview();
+  };
 
-      const selected = getSelectedOptions(variantsRoot);
-      const variant = findMatchingVariant(activeProduct, selected);
+  /**
+   * Reflect the selected variant's availability on the add to cart button.
+   */
+  #updateAddButton() {
+    const { addButton, addButtonText } = this.refs;
+    const { soldOutLabel = "", unavailableLabel = "" } = addButton.dataset;
+
+    addButton.disabled = !this.#variant?.available;
+    addButtonText.textContent = !this.#variant
+      ? unavailableLabel
+      : this.#variant.available
+      ? Theme.translations.add_to_cart ?? ""
+      : soldOutLabel;
+  }
 
-      if (variant) {
-        priceEl.textContent = formatMoney(variant.price);
-      }
-    });
+  /**
+   * Clear the product and any pending state, e.g. when the dialog closes.
+   */
+  #reset = () => {
+    this.#product = null;
+    this.#variant = null;
+    this.#companionMode = "all";
+    this.#bundleRequest++;
+    this.refs.addButton.disabled = true;
+    this.#setStatus("");
+    clearBundlePrompt(this.refs.bundlePrompt ?? null);
+    if (this.refs.bundlePreview) renderBundlePreview(this.refs.bundlePreview, [], [], this.moneyFormat, this.currency);
+  };
 
-    /*  Add to Cart form submission  */
+  /**
+   * Find the bundle rules matching the current selection.
+   * @returns {BundleRule[]}
+   */
+  #getMatchingRules() {
+    if (!this.#product || !this.#variant || !this.#bundleRules.length) return [];
 
-    formEl.addEventListener("submit", async (e) => {
-      e.preventDefault();
-      if (!activeProduct) return;
+    return matchBundleRules(this.#bundleRules, {
+      product: this.#product,
+      variant: this.#variant,
+      selectedOptions: this.#variant.options,
+    });
+  }
 
-      const selected = getSelectedOptions(variantsRoot);
-      const variant = findMatchingVariant(activeProduct, selected);
+  /**
+   * Refresh the bundle preview for the current selection.
+   */
+  async #updateBundlePreview() {
+    const { bundlePreview } = this.refs;
+    if (!bundlePreview) return;
 
-      if (!variant) {
-        setStatus(statusEl, "This variant is unavailable. Please choose another option.");
-        return;
-      }
+    const request = ++this.#bundleRequest;
+    const rules = this.#getMatchingRules();
+    const companions = rules.length ? await resolveCompanions(rules) : [];
 
-      try {
-        setStatus(statusEl, "Adding to cart...");
+    if (request !== this.#bundleRequest) return;
+    renderBundlePreview(bundlePreview, rules, companions, this.moneyFormat, this.currency);
+  }
 
-        // 1. Add the selected product variant
-        await addToCart(variant.id, 1);
+  /**
+   * Update the status message.
+   * @param {string} message - Message to display (empty to clear).
+   */
+  #setStatus(message) {
+    this.refs.status.textContent = message || "";
+  }
 
-        // 2. Special bundle rule:
-        //    If selected options include "Black" AND "Medium",
-        //    also add "Soft Winter Jacket" (first available variant).
-        const hasBlack = selected.some(
-          (v) => v != null && v.toLowerCase() === "black"
-        );
-        const hasMedium = selected.some(
-          (v) => v != null && v.toLowerCase() === "medium"
+  /**
+   * Adds the selected variant, and the companions of matching bundle rules, to the cart.
+   * @param {SubmitEvent} event - The submit event.
+   */
+  handleSubmit = async (event) => {
+    event.preventDefault();
+
+    // The dialog can be closed while requests are in flight
+    const product = this.#product;
+    const variant = this.#variant;
+    if (!product) return;
+
+    if (!variant?.available) {
+      this.#setStatus(Theme.translations.quick_view_unavailable ?? "");
+      return;
+    }
+
+    const { form, bundlePrompt } = this.refs;
+
+    this.#setStatus(Theme.translations.quick_view_adding ?? "");
+    clearBundlePrompt(bundlePrompt ?? null);
+
+    // 1. Resolve the companions of every matching bundle rule
+    const rules = this.#companionMode === "none" ? [] : this.#getMatchingRules();
+    const companions = rules.length ? await resolveCompanions(rules) : [];
+    const unavailable = companions.filter((companion) => !companion.available);
+
+    // 2. Re-prompt instead of silently dropping unavailable companions
+    if (unavailable.length && this.#companionMode === "all") {
+      this.#setStatus("");
+      if (bundlePrompt) {
+        const titles = unavailable.map((companion) => companion.title).join(", ");
+        renderBundlePrompt(
+          bundlePrompt,
+          translatePlural("quick_view_bundle_unavailable", unavailable.length).replace("[titles]", titles),
+          Theme.translations.quick_view_add_available ?? "",
+          () => {
+            this.#companionMode = "available";
+            form.requestSubmit();
+          }
         );
+      }
+      return;
+    }
+
+    const bundled = companions.filter((companion) => companion.available);
+
+    // 3. Send the main item and its companions as one items array. Each
+    //    companion line is tagged with its rule so the cart can tell
+    //    bundle lines apart.
+    /** @type {CartItemInput[]} */
+    const items = [
+      { id: variant.id, quantity: 1 },
+      ...bundled.map((companion) => ({
+        id: companion.variantId,
+        quantity: companion.quantity,
+        properties: { _bundle_rule: companion.rule.id },
+      })),
+    ];
+    const variantIds = items.map((item) => item.id);
+    const sourceId = String(variant.id);
+
+    /** @type {Cart|null} */
+    let snapshot = null;
+
+    try {
+      // A snapshot is only needed to undo a partially applied bundle
+      if (bundled.length) snapshot = await fetchCart();
+
+      const response = await addItemsToCart(items, getCartSectionIds());
+
+      const addedIds = response.items.map((line) => line.variant_id);
+      if (!variantIds.every((id) => addedIds.includes(id))) {
+        throw new CartAddError({ description: Theme.translations.quick_view_bundle_incomplete });
+      }
+
+      /** @type {Array<{ rule: string, message: string, lines: Array<{ variantId: number, quantity: number }> }>} */
+      const appliedBundles = [];
+      bundled.forEach((companion) => {
+        let applied = appliedBundles.find((b) => b.rule === companion.rule.id);
+        if (!applied) {
+          applied = { rule: companion.rule.id, message: companion.rule.message || "", lines: [] };
+          appliedBundles.push(applied);
+        }
+        applied.lines.push({ variantId: companion.variantId, quantity: companion.quantity });
+      });
+
+      // 4. Let the cart drawer and cart icon know what changed
+      const cart = await fetchCart();
+
+      this.dispatchEvent(
+        new CartAddEvent(cart, sourceId, {
+          source: "ecomx-quick-view",
+          itemCount: cart.item_count,
+          productId: String(product.id),
+          variantId: sourceId,
+          sections: response.sections,
+          bundles: appliedBundles,
+        })
+      );
 
-        if (hasBlack && hasMedium) {
-          try {
-            const bundleProduct = await fetchProduct(bundleHandle);
-            const bundleVariant =
-              bundleProduct.variants.find((v) => v.available) ||
-              bundleProduct.variants[0];
-
-            if (bundleVariant) {
-              await addToCart(bundleVariant.id, 1);
-            }
-          } catch (bundleErr) {
-            // Log but do not block the main add-to-cart success
-            console.warn("[EcomX] Could not add bundle product:", bundleErr);
+      this.#companionMode = "all";
+      this.#setStatus(Theme.translations.quick_view_added ?? "");
+    } catch (err) {
+      console.error("[EcomX]", err);
+
+      // Undo whatever part of the bundle made it into the cart
+      if (snapshot) {
+        try {
+          const restored = await rollbackCart(snapshot, variantIds);
+          if (restored) {
+            this.dispatchEvent(
+              new CartUpdateEvent(restored, sourceId, {
+                source: "ecomx-quick-view",
+                itemCount: restored.item_count,
+              })
+            );
           }
+        } catch (rollbackErr) {
+          console.error("[EcomX] Could not roll back bundle:", rollbackErr);
         }
+      }
+
+      const data = err instanceof CartAddError ? err.data : {};
+      this.dispatchEvent(
+        new CartErrorEvent(sourceId, data.message || "", data.description || "", data.errors || {})
+      );
 
-        setStatus(statusEl, "Added to cart!");
-      } catch (err) {
-        console.error("[EcomX]", err);
-        setStatus(statusEl, "Could not add to cart. Please try again.");
+      if (bundled.length && bundlePrompt) {
+        this.#setStatus("");
+        renderBundlePrompt(
+          bundlePrompt,
+          (Theme.translations.quick_view_bundle_error ?? "").replace("[description]", data.description || "").trim(),
+          Theme.translations.quick_view_add_item_only ?? "",
+          () => {
+            this.#companionMode = "none";
+            form.requestSubmit();
+          }
+        );
+      } else {
+        this.#setStatus(data.description || Theme.translations.quick_view_add_error || "");
       }
-    });
+    }
   };
+}
 
-  /*  Bootstrap  */
-
-  document.addEventListener("DOMContentLoaded", () => {
-    document.querySelectorAll("[data-ecomx-grid]").forEach((el) => {
-      initGrid(/** @type {HTMLElement} */ (el));
-    });
-  });
-})();
+if (!customElements.get("ecomx-quick-view")) {
+  customElements.define("ecomx-quick-view", EcomxQuickView);
+}
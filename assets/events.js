@@ -14,6 +14,8 @@ export class ThemeEvents {
   static cartUpdate = 'cart:update';
   /** @static @constant {string} Event triggered when a cart update fails */
   static cartError = 'cart:error';
+  /** @static @constant {string} Event triggered when a cart change is kept in the queue to be sent later */
+  static cartPending = 'cart:pending';
   /** @static @constant {string} Event triggered when a media (video, 3d model) is loaded */
   static mediaStartedPlaying = 'media:started-playing';
   // Event triggered when quantity-selector value is changed
@@ -26,6 +28,12 @@ export class ThemeEvents {
   static discountUpdate = 'discount:update';
   /** @static @constant {string} Event triggered when changing collection filters */
   static FilterUpdate = 'filter:update';
+  /** @static @constant {string} Event triggered when the wishlist items are updated */
+  static wishlistUpdate = 'wishlist:update';
+  /** @static @constant {string} Event triggered when the saved filter presets are updated */
+  static filterPresetsUpdate = 'filter-presets:update';
+  /** @static @constant {string} Event triggered when the products selected for comparison are updated */
+  static productCompareUpdate = 'product-compare:update';
 }
 
 /**
@@ -100,6 +108,7 @@ export class CartAddEvent extends Event {
    * @param {number} [data.itemCount] - The number of items in the cart
    * @param {string} [data.variantId] - The id of the product variant that was added
    * @param {Record<string, string>} [data.sections] - The sections affected by the cart operation
+   * @param {Array<{rule: string, message: string, lines: Array<{variantId: number, quantity: number}>}>} [data.bundles] - The bundle rules applied by the add, and the lines each one added
    */
   constructor(resource, sourceId, data) {
     super(CartAddEvent.eventName, { bubbles: true });
@@ -131,6 +140,7 @@ export class CartUpdateEvent extends Event {
    * @param {number} [data.itemCount] - The number of items in the cart
    * @param {string} [data.variantId] - The id of the product variant that was updated
    * @param {Record<string, string>} [data.sections] - The sections affected by the cart operation
+   * @param {string} [data.key] - The key of the mutation the cart queue reports the outcome of
    */
   constructor(resource, sourceId, data) {
     super(ThemeEvents.cartUpdate, { bubbles: true });
@@ -169,6 +179,28 @@ export class CartErrorEvent extends Event {
   }
 }
 
+/**
+ * Event class for cart changes the cart queue keeps to send later, e.g. while the browser is offline.
+ * The outcome is reported later with a `CartUpdateEvent` or a `CartErrorEvent`.
+ * @extends {Event}
+ */
+export class CartPendingEvent extends Event {
+  /**
+   * Creates a new CartPendingEvent
+   * @param {string} sourceId - The id of the element the action was triggered from
+   * @param {string} message - A message telling the shopper the change will be sent later
+   */
+  constructor(sourceId, message) {
+    super(ThemeEvents.cartPending, { bubbles: true });
+    this.detail = {
+      sourceId,
+      data: {
+        message,
+      },
+    };
+  }
+}
+
 /**
  * Event class for quantity-selector updates
  * @extends {Event}
@@ -207,6 +239,57 @@ export class DiscountUpdateEvent extends Event {
   }
 }
 
+/**
+ * Event class for wishlist updates
+ * @extends {Event}
+ */
+export class WishlistUpdateEvent extends Event {
+  /**
+   * Creates a new WishlistUpdateEvent
+   * @param {import('./wishlist').WishlistItem[]} items - The saved items, newest first
+   */
+  constructor(items) {
+    super(ThemeEvents.wishlistUpdate, { bubbles: true });
+    this.detail = {
+      items,
+    };
+  }
+}
+
+/**
+ * Event class for saved filter presets updates
+ * @extends {Event}
+ */
+export class FilterPresetsUpdateEvent extends Event {
+  /**
+   * Creates a new FilterPresetsUpdateEvent
+   * @param {import('./filter-presets').FilterPreset[]} presets - The saved presets, newest first
+   */
+  constructor(presets) {
+    super(ThemeEvents.filterPresetsUpdate, { bubbles: true });
+    this.detail = {
+      presets,
+    };
+  }
+}
+
+/**
+ * Event class for product comparison updates
+ * @extends {Event}
+ */
+export class ProductCompareUpdateEvent extends Event {
+  /**
+   * Creates a new ProductCompareUpdateEvent
+   * @param {import('./product-compare').ProductCompareItem[]} items - The selected products, in selection order
+   */
+  constructor(items) {
+    super(ThemeEvents.productCompareUpdate, { bubbles: true });
+    this.detail = {
+      items,
+    };
+  }
+}
+
 /**
  * Event class for media playback starts
  * @extends {Event}
@@ -1,16 +1,54 @@
-import { sectionRenderer } from '@theme/section-renderer';
+import { buildSectionSelector, sectionRenderer } from '@theme/section-renderer';
 import { Component } from '@theme/component';
 import { FilterUpdateEvent, ThemeEvents } from '@theme/events';
-import { debounce, startViewTransition } from '@theme/utilities';
+import { debounce, requestIdleCallback, startViewTransition } from '@theme/utilities';
+import { morph } from '@theme/morph';
 import { convertMoneyToMinorUnits, formatMoney } from '@theme/money-formatting';
+import PaginatedList from '@theme/paginated-list';
 /**
  * Search query parameter.
  * @type {string}
  */
 const SEARCH_QUERY = 'q';
 
+/**
+ * The maximum number of filter values whose results are prefetched, once a value is staged.
+ * @type {number}
+ */
+const MAX_PREFETCHED_STAGED_VALUES = 12;
+
+/**
+ * Normalizes URL parameters, so they can be compared regardless of the page loaded by the infinite scroll.
+ * @param {URLSearchParams} parameters - The URL parameters
+ * @returns {string} The parameters that select the results
+ */
+function getResultsKey(parameters) {
+  const resultsParameters = new URLSearchParams(parameters);
+
+  resultsParameters.delete('page');
+  resultsParameters.delete('section_id');
+  // Variant selections of quick add dialogs are written to the URL too
+  resultsParameters.delete('variant');
+  resultsParameters.delete('option_values');
+  resultsParameters.sort();
+
+  return resultsParameters.toString();
+}
+
+/**
+ * The parameters of the results shown. Every filter update is dispatched once the new URL has been pushed.
+ * @type {string}
+ */
+let shownResultsKey = getResultsKey(new URLSearchParams(window.location.search));
+
+document.addEventListener(ThemeEvents.FilterUpdate, () => {
+  shownResultsKey = getResultsKey(new URLSearchParams(window.location.search));
+});
+
 /**
  * Handles the main facets form functionality
+ * With the `staged` attribute, filter changes are only previewed (number of results, of each filter value) until
+ * they're applied with `applyStagedFilters`.
  *
  * @typedef {Object} FacetsFormRefs
  * @property {HTMLFormElement} facetsForm - The main facets form element
@@ -18,9 +56,40 @@ const SEARCH_QUERY = 'q';
  *
  * @extends {Component<FacetsFormRefs>}
  */
-class FacetsFormComponent extends Component {
+export class FacetsFormComponent extends Component {
   requiredRefs = ['facetsForm'];
 
+  /**
+   * Whether filters were changed in staged mode, and not applied yet
+   * @type {boolean}
+   */
+  #hasStagedFilters = false;
+
+  /** @type {AbortController | null} */
+  #stagingController = null;
+
+  /** @type {HTMLDialogElement | null} */
+  #dialog = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+    window.addEventListener('popstate', this.#handlePopState);
+
+    // Staged filters that weren't applied are discarded with the drawer
+    if (this.#isStaged) {
+      this.#dialog = this.closest('dialog');
+      this.#dialog?.addEventListener('close', this.resetStagedFilters);
+    }
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    window.removeEventListener('popstate', this.#handlePopState);
+
+    this.#dialog?.removeEventListener('close', this.resetStagedFilters);
+    this.#stagingController?.abort();
+  }
+
   /**
    * Creates URL parameters from form data
    * @param {FormData} [formData] - Optional form data to use instead of the main form
@@ -67,17 +136,258 @@ class FacetsFormComponent extends Component {
       url.searchParams.append(param, value);
     }
 
+    this.#saveHistoryState();
     history.pushState({ urlParameters: urlParameters.toString() }, '', url.toString());
   }
 
   /**
-   * Updates filters and renders the section
+   * Stores the scroll position and the loaded pages in the current history entry, before leaving it
+   */
+  #saveHistoryState() {
+    const state = history.state && typeof history.state === 'object' ? history.state : {};
+    const paginatedList = this.#paginatedList;
+
+    history.replaceState(
+      { ...state, ...(paginatedList ? paginatedList.getHistoryState() : { scrollY: window.scrollY }) },
+      ''
+    );
+  }
+
+  /**
+   * @returns {PaginatedList | null} The list of the results
+   */
+  get #paginatedList() {
+    const list = document.getElementById(buildSectionSelector(this.sectionId))?.querySelector('results-list');
+
+    return list instanceof PaginatedList ? list : null;
+  }
+
+  /**
+   * Restores the filters and the results of the history entry, when navigating back or forward
+   * @param {PopStateEvent} event - The popstate event
+   */
+  #handlePopState = async (event) => {
+    const urlParameters = new URLSearchParams(window.location.search);
+
+    // The infinite scroll pushes an entry per page, all of them are already in the list
+    if (getResultsKey(urlParameters) === shownResultsKey) return;
+
+    this.#setHasStagedFilters(false);
+    this.#restoreInputs(urlParameters);
+
+    // Every form of the section restores its inputs, the first one renders the section
+    if (document.querySelector(`facets-form-component[section-id="${this.sectionId}"]`) !== this) return;
+
+    /** @type {import('./paginated-list').PaginatedListHistoryState} */
+    const state = event.state && typeof event.state === 'object' ? event.state : {};
+    const url = new URL(window.location.href);
+    if (state.firstPage) url.searchParams.set('page', String(state.firstPage));
+
+    this.dispatchEvent(new FilterUpdateEvent(urlParameters));
+    await sectionRenderer.renderSection(this.sectionId, { url });
+
+    // Another entry was restored in the meantime
+    if (getResultsKey(urlParameters) !== shownResultsKey) return;
+
+    const paginatedList = this.#paginatedList;
+    if (paginatedList) {
+      await paginatedList.restoreHistoryState(state);
+    } else if (state.scrollY !== undefined) {
+      window.scrollTo({ top: state.scrollY, behavior: 'instant' });
+    }
+  };
+
+  /**
+   * Sets the filter and sorting inputs to the values of the URL parameters
+   * @param {URLSearchParams} urlParameters - The URL parameters
+   */
+  #restoreInputs(urlParameters) {
+    for (const element of this.refs.facetsForm.elements) {
+      if (element instanceof HTMLInputElement) {
+        if (!element.name || element.type === 'hidden') continue;
+
+        if (element.type === 'checkbox') {
+          element.checked = urlParameters.getAll(element.name).includes(element.value);
+        } else if (element.type === 'radio') {
+          // Without a parameter, the default sorting applies. It's restored when the section is rendered.
+          if (urlParameters.has(element.name)) element.checked = urlParameters.get(element.name) === element.value;
+        } else {
+          element.value = urlParameters.get(element.name) ?? '';
+        }
+      } else if (element instanceof HTMLSelectElement) {
+        const value = urlParameters.get(element.name);
+        if (value !== null) element.value = value;
+      }
+    }
+  }
+
+  /**
+   * Updates filters and renders the section, or previews them in staged mode
    */
   updateFilters = () => {
+    if (this.#isStaged) {
+      this.#stageFilters();
+      return;
+    }
+
+    this.#applyFilters();
+  };
+
+  /**
+   * Applies the staged filters, rendering the section once, and closes the drawer
+   */
+  applyStagedFilters() {
+    this.#stagingController?.abort();
+
+    if (this.#hasStagedFilters) {
+      this.#setHasStagedFilters(false);
+      this.#applyFilters();
+    }
+
+    /** @type {import('./dialog').DialogComponent | null} */
+    const dialogComponent = this.closest('dialog-component');
+    dialogComponent?.closeDialog();
+  }
+
+  /**
+   * Discards the staged filters, showing the applied ones again
+   */
+  resetStagedFilters = async () => {
+    if (!this.#hasStagedFilters) return;
+
+    this.#setHasStagedFilters(false);
+    this.#stagingController?.abort();
+
+    // The applied filters are rendered from the cache, when the section was already rendered with them
+    const html = await sectionRenderer.getSectionHTML(this.sectionId);
+    if (this.#hasStagedFilters) return;
+
+    const newDocument = new DOMParser().parseFromString(html, 'text/html');
+    const newFacetsForm = newDocument.getElementById(this.id);
+    if (newFacetsForm) morph(this, newFacetsForm);
+
+    this.#renderApplyButton(newDocument);
+  };
+
+  #applyFilters() {
     this.#updateURLHash();
     this.dispatchEvent(new FilterUpdateEvent(this.createURLParameters()));
     this.#updateSection();
-  };
+  }
+
+  /** @returns {boolean} */
+  get #isStaged() {
+    return this.hasAttribute('staged');
+  }
+
+  /**
+   * @param {boolean} hasStagedFilters
+   */
+  #setHasStagedFilters(hasStagedFilters) {
+    this.#hasStagedFilters = hasStagedFilters;
+
+    const resetButton = document.getElementById(`FacetsResetButton--${this.sectionId}`);
+    if (resetButton instanceof HTMLButtonElement) resetButton.disabled = !hasStagedFilters;
+  }
+
+  /**
+   * Previews the results of the selected filters, without applying them.
+   * The section is rendered for them, from the cache when the combination was prefetched.
+   */
+  async #stageFilters() {
+    this.#setHasStagedFilters(true);
+
+    this.#stagingController?.abort();
+    const controller = new AbortController();
+    this.#stagingController = controller;
+
+    const html = await sectionRenderer.getSectionHTML(this.sectionId, true, this.#getStagedURL());
+    if (controller.signal.aborted) return;
+
+    const newDocument = new DOMParser().parseFromString(html, 'text/html');
+    this.#renderValueCounts(newDocument);
+    this.#renderApplyButton(newDocument);
+    this.#prefetchStagedValues(controller.signal);
+  }
+
+  /**
+   * Prefetches the results of staging each value that can be added next, so their counts show right away.
+   * Values are prefetched when hovered too, which doesn't happen on touch screens.
+   * They're fetched one at a time while the browser is idle, until other filters are staged.
+   * @param {AbortSignal} signal - Aborted when other filters are staged
+   */
+  async #prefetchStagedValues(signal) {
+    /** @type {HTMLInputElement[]} */
+    const inputs = [];
+
+    for (const count of this.querySelectorAll('.facets__value-count')) {
+      const input = this.querySelector(`#${CSS.escape(count.id.replace(/-count$/, ''))}`);
+      if (input instanceof HTMLInputElement && !input.checked && !input.disabled) inputs.push(input);
+    }
+
+    for (const input of inputs.slice(0, MAX_PREFETCHED_STAGED_VALUES)) {
+      await new Promise((resolve) => requestIdleCallback(resolve));
+      if (signal.aborted) return;
+
+      const formData = new FormData(this.refs.facetsForm);
+      formData.append(input.name, input.value);
+
+      try {
+        await sectionRenderer.getSectionHTML(this.sectionId, true, this.#getStagedURL(formData));
+      } catch {
+        return;
+      }
+    }
+  }
+
+  /**
+   * @param {FormData} [formData] - The filters to stage, the ones of the form by default
+   * @returns {URL} The URL of the section rendered with the filters
+   */
+  #getStagedURL(formData) {
+    const url = new URL(window.location.pathname, window.location.origin);
+    for (const [key, value] of this.createURLParameters(formData)) url.searchParams.append(key, value);
+
+    return url;
+  }
+
+  /**
+   * Updates the number of results of each filter value, and disables the values without results
+   * @param {Document} newDocument - The section rendered for the staged filters
+   */
+  #renderValueCounts(newDocument) {
+    const newFacetsForm = newDocument.getElementById(this.id);
+
+    for (const count of this.querySelectorAll('.facets__value-count')) {
+      const newCount = newFacetsForm?.querySelector(`#${CSS.escape(count.id)}`);
+      count.textContent = newCount?.textContent ?? '0';
+
+      const inputId = count.id.replace(/-count$/, '');
+      const input = this.querySelector(`#${CSS.escape(inputId)}`);
+      const newInput = newFacetsForm?.querySelector(`#${CSS.escape(inputId)}`);
+      if (!(input instanceof HTMLInputElement) || input.checked) continue;
+
+      input.disabled = !newInput || newInput.hasAttribute('disabled');
+      input.closest('.checkbox')?.classList.toggle('checkbox--disabled', input.disabled);
+      input.closest('li')?.classList.toggle('facets__inputs-list-item--disabled', input.disabled);
+    }
+  }
+
+  /**
+   * Shows the number of results of the staged filters on the apply button
+   * @param {Document} newDocument - The section rendered for the staged filters
+   */
+  #renderApplyButton(newDocument) {
+    const id = `FacetsApplyButton--${this.sectionId}`;
+    const applyButton = document.getElementById(id);
+    if (!(applyButton instanceof HTMLButtonElement)) return;
+
+    const newApplyButton = newDocument.getElementById(id);
+
+    // Without results, the filters aren't rendered
+    if (newApplyButton) applyButton.textContent = newApplyButton.textContent;
+    applyButton.disabled = !newApplyButton || newApplyButton.hasAttribute('disabled');
+  }
 
   /**
    * Updates the section
@@ -95,9 +405,18 @@ class FacetsFormComponent extends Component {
   /**
    * Updates filters based on a provided URL
    * @param {string} url - The URL to update filters with
+   * @param {{ replace?: boolean }} [options] - Whether to replace the current history entry instead of adding one
    */
-  updateFiltersByURL(url) {
-    history.pushState('', '', url);
+  updateFiltersByURL(url, { replace = false } = {}) {
+    this.#setHasStagedFilters(false);
+
+    if (replace) {
+      history.replaceState('', '', url);
+    } else {
+      this.#saveHistoryState();
+      history.pushState('', '', url);
+    }
+
     this.dispatchEvent(new FilterUpdateEvent(this.createURLParameters()));
     this.#updateSection();
   }
@@ -205,14 +524,25 @@ if (!customElements.get('facet-inputs-component')) {
   customElements.define('facet-inputs-component', FacetInputsComponent);
 }
 
+/**
+ * The number of bars of the price histogram.
+ * @type {number}
+ */
+const PRICE_HISTOGRAM_BARS = 24;
+
 /**
  * @typedef {Object} PriceFacetRefs
  * @property {HTMLInputElement} minInput - The minimum price input
  * @property {HTMLInputElement} maxInput - The maximum price input
+ * @property {HTMLElement} slider - The slider, with the range of the filter in its data attributes
+ * @property {HTMLElement} histogram - The distribution of the prices of the loaded products
+ * @property {HTMLInputElement} minThumb - The minimum price thumb of the slider
+ * @property {HTMLInputElement} maxThumb - The maximum price thumb of the slider
  */
 
 /**
- * Handles price facet functionality
+ * Handles price facet functionality.
+ * The slider is kept in sync with the inputs, its values are in the minor units of the currency.
  * @extends {Component<PriceFacetRefs>}
  */
 class PriceFacetComponent extends Component {
@@ -221,18 +551,174 @@ class PriceFacetComponent extends Component {
   /** @type {string} */
   moneyFormat;
 
+  /**
+   * Syncs the slider when the section is rendered with other price values
+   * @type {MutationObserver}
+   */
+  #sliderObserver = new MutationObserver(() => this.updateSlider());
+
+  /**
+   * Redraws the histogram when products are loaded
+   * @type {MutationObserver}
+   */
+  #resultsObserver = new MutationObserver(() => this.#renderHistogram());
+
   connectedCallback() {
     super.connectedCallback();
     this.addEventListener('keydown', this.#onKeyDown);
     this.currency = this.dataset.currency ?? 'USD';
     this.moneyFormat = this.#extractMoneyPlaceholder(this.dataset.moneyFormat ?? '{{amount}}');
+
+    this.#sliderObserver.observe(this.refs.slider, {
+      attributes: true,
+      attributeFilter: ['data-range-max', 'data-value-min', 'data-value-max'],
+    });
+    this.updateSlider();
+
+    const resultsList = this.#resultsList;
+    if (resultsList) this.#resultsObserver.observe(resultsList, { childList: true, subtree: true });
+    this.#renderHistogram();
   }
 
   disconnectedCallback() {
     super.disconnectedCallback();
     this.removeEventListener('keydown', this.#onKeyDown);
+    this.#sliderObserver.disconnect();
+    this.#resultsObserver.disconnect();
+    this.#renderHistogram.cancel();
+  }
+
+  /**
+   * Updates the inputs as a thumb of the slider moves. The results are updated on change, like the inputs.
+   * @param {Event} event - The input event
+   */
+  handleSliderInput(event) {
+    const { minInput, maxInput, minThumb, maxThumb } = this.refs;
+
+    // The thumbs can't cross each other
+    if (event.target === minThumb && minThumb.valueAsNumber > maxThumb.valueAsNumber) {
+      minThumb.valueAsNumber = maxThumb.valueAsNumber;
+    } else if (event.target === maxThumb && maxThumb.valueAsNumber < minThumb.valueAsNumber) {
+      maxThumb.valueAsNumber = minThumb.valueAsNumber;
+    }
+
+    // The ends of the track are the whole range, which doesn't filter the products
+    const rangeMax = this.#rangeMax;
+    minInput.value =
+      minThumb.valueAsNumber > 0
+        ? formatMoney(Math.min(minThumb.valueAsNumber, rangeMax), this.moneyFormat, this.currency)
+        : '';
+    maxInput.value =
+      maxThumb.valueAsNumber < rangeMax ? formatMoney(maxThumb.valueAsNumber, this.moneyFormat, this.currency) : '';
+
+    this.#renderSliderRange();
+  }
+
+  /**
+   * Moves the thumbs of the slider to the values of the inputs
+   */
+  updateSlider() {
+    const { minInput, maxInput, minThumb, maxThumb } = this.refs;
+    const rangeMax = this.#rangeMax;
+    const step = this.#parseDisplayValue('1', this.currency);
+
+    // Thumbs step by one unit of the currency, so the end of the track is rounded up to reach the highest price
+    for (const thumb of [minThumb, maxThumb]) {
+      thumb.step = String(step);
+      thumb.max = String(Math.ceil(rangeMax / step) * step);
+    }
+
+    minThumb.value = String(this.#parseDisplayValue(minInput.value, this.currency));
+    maxThumb.value = maxInput.value.trim()
+      ? String(this.#parseDisplayValue(maxInput.value, this.currency))
+      : maxThumb.max;
+
+    this.#renderSliderRange();
+  }
+
+  /**
+   * The highest price of the filter, in minor units
+   * @returns {number}
+   */
+  get #rangeMax() {
+    return this.#parseDisplayValue(this.refs.slider.dataset.rangeMax ?? '0', this.currency);
   }
 
+  /**
+   * @returns {Element | null | undefined} The results of the section of the facets form
+   */
+  get #resultsList() {
+    const facetsForm = this.closest('facets-form-component');
+    if (!(facetsForm instanceof FacetsFormComponent)) return null;
+
+    return document.getElementById(buildSectionSelector(facetsForm.sectionId))?.querySelector('results-list');
+  }
+
+  /**
+   * Highlights the selected part of the track and of the histogram, and describes the thumbs values
+   */
+  #renderSliderRange() {
+    const { slider, histogram, minThumb, maxThumb } = this.refs;
+    const trackMax = Number(maxThumb.max) || 1;
+    const fullFormat = this.dataset.moneyFormat ?? '{{amount}}';
+
+    slider.style.setProperty('--range-start', `${(minThumb.valueAsNumber / trackMax) * 100}%`);
+    slider.style.setProperty('--range-end', `${(maxThumb.valueAsNumber / trackMax) * 100}%`);
+
+    for (const thumb of [minThumb, maxThumb]) {
+      const value = Math.min(thumb.valueAsNumber, this.#rangeMax);
+      thumb.setAttribute('aria-valuetext', formatMoney(value, fullFormat, this.currency));
+    }
+
+    const bars = Array.from(histogram.children);
+    bars.forEach((bar, index) => {
+      const barStart = (index / bars.length) * trackMax;
+      const barEnd = ((index + 1) / bars.length) * trackMax;
+
+      bar.toggleAttribute('data-selected', barEnd > minThumb.valueAsNumber && barStart < maxThumb.valueAsNumber);
+    });
+  }
+
+  /**
+   * Draws the distribution of the prices of the products loaded, along the track of the slider
+   */
+  #renderHistogram = debounce(() => {
+    const { histogram, maxThumb } = this.refs;
+    const trackMax = Number(maxThumb.max);
+    const cards = this.#resultsList?.querySelectorAll('product-card[data-price]') ?? [];
+    const counts = new Array(PRICE_HISTOGRAM_BARS).fill(0);
+    let hasPrices = false;
+
+    for (const card of cards) {
+      if (!(card instanceof HTMLElement)) continue;
+
+      const price = convertMoneyToMinorUnits(card.dataset.price ?? '', this.currency);
+      if (price === null || !trackMax) continue;
+
+      const index = Math.min(Math.floor((price / trackMax) * PRICE_HISTOGRAM_BARS), PRICE_HISTOGRAM_BARS - 1);
+      counts[index] += 1;
+      hasPrices = true;
+    }
+
+    if (!hasPrices) {
+      histogram.replaceChildren();
+      return;
+    }
+
+    const highestCount = Math.max(...counts);
+
+    histogram.replaceChildren(
+      ...counts.map((count) => {
+        const bar = document.createElement('span');
+        bar.className = 'price-facet__bar';
+        bar.style.setProperty('--bar-height', `${(count / highestCount) * 100}%`);
+        return bar;
+      })
+    );
+
+    this.#renderSliderRange();
+  }, 100);
+
   /**
    * Extracts the placeholder from a money format string, removing currency symbols.
    * @param {string} format - The money format (e.g., "${{amount}}", "{{amount}} USD")
@@ -249,6 +735,8 @@ class PriceFacetComponent extends Component {
    */
   #onKeyDown = (event) => {
     if (event.metaKey) return;
+    // The slider thumbs take the keys of range inputs, like Home, End and Page Up
+    if (event.target instanceof HTMLInputElement && event.target.type === 'range') return;
 
     const pattern = /[0-9]|\.|,|'| |Tab|Backspace|Enter|ArrowUp|ArrowDown|ArrowLeft|ArrowRight|Delete|Escape/;
     if (!event.key.match(pattern)) event.preventDefault();
@@ -381,6 +869,8 @@ class FacetClearComponent extends Component {
 
     statusComponent.clearSummary();
 
+    if (container instanceof PriceFacetComponent) container.updateSlider();
+
     const facetsForm = this.closest('facets-form-component');
     if (!(facetsForm instanceof FacetsFormComponent)) return;
 
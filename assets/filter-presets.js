@@ -0,0 +1,340 @@
+import { Component } from '@theme/component';
+import { FilterPresetsUpdateEvent, ThemeEvents } from '@theme/events';
+import { FacetsFormComponent } from '@theme/facets';
+
+/**
+ * @typedef {object} FilterPreset
+ * @property {string} name - The name given by the shopper.
+ * @property {string} path - The path of the collection the preset was saved on.
+ * @property {string} parameters - The filter and sorting URL parameters.
+ * @property {number} savedAt - When the preset was saved, in milliseconds since the epoch.
+ */
+
+/**
+ * The URL parameter of shared filter links. Its value is the compressed filter parameters.
+ * @type {string}
+ */
+const SHARE_PARAMETER = 'filters';
+
+/**
+ * Updates the filter presets saved in localStorage.
+ * Presets are saved per collection, as filters depend on the products of the collection.
+ * Changes dispatch a `FilterPresetsUpdateEvent` on the document.
+ */
+export class FilterPresets {
+  /** @static @constant {string} The key used to store the presets in local storage */
+  static #STORAGE_KEY = 'filterPresets';
+  /** @static @constant {number} The maximum number of presets to store, for all collections */
+  static #MAX_PRESETS = 30;
+
+  /**
+   * Retrieves the presets saved on a collection.
+   * @param {string} path - The path of the collection.
+   * @returns {FilterPreset[]} The presets, newest first.
+   */
+  static getPresets(path) {
+    return this.#read().filter((preset) => preset.path === path);
+  }
+
+  /**
+   * Saves filters under a name. A preset with the same name is replaced.
+   * @param {string} path - The path of the collection.
+   * @param {string} name - The name of the preset.
+   * @param {string} parameters - The filter and sorting URL parameters.
+   */
+  static savePreset(path, name, parameters) {
+    const presets = this.#read().filter((preset) => preset.path !== path || preset.name !== name);
+
+    presets.unshift({ name, path, parameters, savedAt: Date.now() });
+
+    this.#save(presets.slice(0, this.#MAX_PRESETS));
+  }
+
+  /**
+   * Removes a preset.
+   * @param {string} path - The path of the collection.
+   * @param {string} name - The name of the preset.
+   */
+  static removePreset(path, name) {
+    this.#save(this.#read().filter((preset) => preset.path !== path || preset.name !== name));
+  }
+
+  /**
+   * @returns {FilterPreset[]}
+   */
+  static #read() {
+    const presets = JSON.parse(localStorage.getItem(this.#STORAGE_KEY) || '[]');
+
+    return Array.isArray(presets) ? presets : [];
+  }
+
+  /**
+   * @param {FilterPreset[]} presets - The presets to store.
+   */
+  static #save(presets) {
+    localStorage.setItem(this.#STORAGE_KEY, JSON.stringify(presets));
+    document.dispatchEvent(new FilterPresetsUpdateEvent(presets));
+  }
+}
+
+/**
+ * Lists the filter presets saved on the collection, and saves the applied filters under a name.
+ * Presets are applied with one click, and shared with a link that applies them when opened.
+ *
+ * @typedef {object} FilterPresetsRefs
+ * @property {HTMLElement} list - The list of presets.
+ * @property {HTMLTemplateElement} presetTemplate - The template of a preset.
+ * @property {HTMLElement} saveForm - The controls to save the applied filters, shown when filters are applied.
+ * @property {HTMLInputElement} nameInput - The name of the preset to save.
+ * @property {HTMLInputElement} [shareLink] - Shows the link of a preset, when it can't be copied to the clipboard.
+ * @property {HTMLElement} status - Announces the result of the actions.
+ *
+ * @extends {Component<FilterPresetsRefs>}
+ */
+class FilterPresetsComponent extends Component {
+  requiredRefs = ['list', 'presetTemplate', 'saveForm', 'nameInput', 'status'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.filterPresetsUpdate, this.#render);
+    document.addEventListener(ThemeEvents.FilterUpdate, this.#handleFilterUpdate);
+    this.#render();
+
+    // Every panel lists the presets, the first one applies the filters of a shared link
+    if (document.querySelector('filter-presets-component') === this) this.#applySharedFilters();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.filterPresetsUpdate, this.#render);
+    document.removeEventListener(ThemeEvents.FilterUpdate, this.#handleFilterUpdate);
+  }
+
+  /**
+   * Saves the applied filters under the name entered.
+   */
+  savePreset() {
+    const { nameInput } = this.refs;
+    const name = nameInput.value.trim();
+
+    if (!name) {
+      nameInput.setAttribute('aria-invalid', 'true');
+      nameInput.focus();
+      return;
+    }
+
+    const parameters = this.#facetsForm?.createURLParameters().toString();
+    if (!parameters) return;
+
+    nameInput.removeAttribute('aria-invalid');
+    nameInput.value = '';
+
+    FilterPresets.savePreset(this.#path, name, parameters);
+    this.#announce(Theme.translations.filter_preset_saved ?? '');
+  }
+
+  /**
+   * Saves the preset with Enter, instead of submitting the facets form.
+   * @param {KeyboardEvent} event - The keydown event.
+   */
+  handleKeyDown(event) {
+    if (event.key !== 'Enter') return;
+
+    event.preventDefault();
+    this.savePreset();
+  }
+
+  /**
+   * Applies the filters of a preset.
+   * @param {Event} event - The click event.
+   */
+  applyPreset(event) {
+    const preset = this.#getPreset(event);
+    if (!preset) return;
+
+    this.#facetsForm?.updateFiltersByURL(this.#getPresetURL(preset.parameters).toString());
+  }
+
+  /**
+   * Removes a preset.
+   * @param {Event} event - The click event.
+   */
+  removePreset(event) {
+    const preset = this.#getPreset(event);
+    if (!preset) return;
+
+    FilterPresets.removePreset(this.#path, preset.name);
+  }
+
+  /**
+   * Copies a short link to the filters of a preset.
+   * @param {Event} event - The click event.
+   */
+  async sharePreset(event) {
+    const preset = this.#getPreset(event);
+    if (!preset) return;
+
+    const url = await this.#getShareURL(preset.parameters);
+    const { shareLink } = this.refs;
+
+    try {
+      await navigator.clipboard.writeText(url);
+      if (shareLink) shareLink.hidden = true;
+      this.#announce(Theme.translations.filter_preset_link_copied ?? '');
+    } catch {
+      if (!shareLink) return;
+
+      shareLink.value = url;
+      shareLink.hidden = false;
+      shareLink.select();
+    }
+  }
+
+  /**
+   * @returns {string} The path of the collection.
+   */
+  get #path() {
+    return window.location.pathname;
+  }
+
+  /**
+   * @returns {FacetsFormComponent | null}
+   */
+  get #facetsForm() {
+    const facetsForm = this.closest('facets-form-component');
+
+    return facetsForm instanceof FacetsFormComponent ? facetsForm : null;
+  }
+
+  /**
+   * @param {Event} event - An event of a preset item.
+   * @returns {FilterPreset | undefined}
+   */
+  #getPreset(event) {
+    if (!(event.target instanceof Element)) return;
+
+    const item = event.target.closest('[data-preset-name]');
+    if (!(item instanceof HTMLElement)) return;
+
+    return FilterPresets.getPresets(this.#path).find((preset) => preset.name === item.dataset.presetName);
+  }
+
+  /**
+   * @param {string} parameters - The filter and sorting URL parameters.
+   * @returns {URL}
+   */
+  #getPresetURL(parameters) {
+    const url = new URL(this.#path, window.location.origin);
+    url.search = parameters;
+
+    return url;
+  }
+
+  /**
+   * Builds the link to share filters. Filter parameters are long and repetitive, so they're compressed.
+   * Browsers that can't compress share the filtered collection URL.
+   * @param {string} parameters - The filter and sorting URL parameters.
+   * @returns {Promise<string>}
+   */
+  async #getShareURL(parameters) {
+    if (!('CompressionStream' in window)) return this.#getPresetURL(parameters).toString();
+
+    /** @type {Uint8Array} */
+    let bytes;
+    try {
+      // Some browsers have compression streams, but not the `deflate-raw` format
+      const stream = new Blob([parameters]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+      bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+    } catch (error) {
+      return this.#getPresetURL(parameters).toString();
+    }
+
+    const url = new URL(this.#path, window.location.origin);
+    url.searchParams.set(SHARE_PARAMETER, toBase64URL(bytes));
+
+    return url.toString();
+  }
+
+  /**
+   * Applies the filters of a shared link, in place of the link in the history.
+   */
+  async #applySharedFilters() {
+    const token = new URLSearchParams(window.location.search).get(SHARE_PARAMETER);
+    if (!token || !('DecompressionStream' in window)) return;
+
+    try {
+      const stream = new Blob([fromBase64URL(token)]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+      const parameters = await new Response(stream).text();
+
+      this.#facetsForm?.updateFiltersByURL(this.#getPresetURL(parameters).toString(), { replace: true });
+    } catch (error) {
+      console.error('Invalid shared filters:', error);
+    }
+  }
+
+  #render = () => {
+    const { list, presetTemplate } = this.refs;
+
+    const items = FilterPresets.getPresets(this.#path).map((preset) => {
+      const item = /** @type {DocumentFragment} */ (presetTemplate.content.cloneNode(true)).firstElementChild;
+      if (!(item instanceof HTMLElement)) return null;
+
+      item.dataset.presetName = preset.name;
+      const label = item.querySelector('[data-preset-name-label]');
+      if (label) label.textContent = preset.name;
+
+      return item;
+    });
+
+    list.replaceChildren(...items.filter((item) => item !== null));
+    this.toggleAttribute('data-has-presets', list.children.length > 0);
+  };
+
+  /**
+   * Only filters that are applied can be saved.
+   * @param {Event} event - The filter update event.
+   */
+  #handleFilterUpdate = (event) => {
+    const { saveForm } = this.refs;
+
+    saveForm.hidden = !(/** @type {import('./events').FilterUpdateEvent} */ (event).shouldShowClearAll());
+  };
+
+  /**
+   * @param {string} message - The message to announce.
+   */
+  #announce(message) {
+    const { status } = this.refs;
+
+    status.textContent = '';
+    requestAnimationFrame(() => (status.textContent = message));
+  }
+}
+
+if (!customElements.get('filter-presets-component')) {
+  customElements.define('filter-presets-component', FilterPresetsComponent);
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string} The bytes, encoded in base64 for URLs.
+ */
+function toBase64URL(bytes) {
+  let binary = '';
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * @param {string} value - Bytes encoded in base64 for URLs.
+ * @returns {Uint8Array<ArrayBuffer>} The bytes, over a plain buffer so they can be read as a blob.
+ */
+function fromBase64URL(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), '='));
+
+  return Uint8Array.from(binary, (character) => character.charCodeAt(0));
+}
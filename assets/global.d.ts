@@ -22,6 +22,7 @@ declare global {
       cart_change_url: string;
       cart_update_url: string;
       cart_url: string;
+      root_url: string;
       predictive_search_url: string;
       search_url: string;
     };
@@ -33,6 +34,15 @@ declare global {
     template: {
       name: string;
     };
+    localization: {
+      country: string;
+      language: string;
+    };
+    settings: {
+      recently_viewed_max_products: number;
+      recently_viewed_ttl_days: number;
+      variant_history: boolean;
+    };
   }
 
   interface Window {
@@ -1,4 +1,5 @@
 import { Component } from '@theme/component';
+import { tabSync } from '@theme/tab-sync';
 import { isClickedOutside, normalizeString, onAnimationEnd } from '@theme/utilities';
 
 /**
@@ -64,6 +65,7 @@ class LocalizationFormComponent extends Component {
 
         if (focusedItem) {
           countryInput.value = focusedItem.dataset.value ?? '';
+          tabSync.markLocalizationChange();
           form.submit();
         }
         break;
@@ -96,6 +98,7 @@ class LocalizationFormComponent extends Component {
     const { countryInput, form } = this.refs;
 
     countryInput.value = countryName;
+    tabSync.markLocalizationChange();
     form?.submit();
   };
 
@@ -111,6 +114,7 @@ class LocalizationFormComponent extends Component {
     if (value) {
       languageInput.value = value;
       this.resizeLanguageInput();
+      tabSync.markLocalizationChange();
       form.submit();
     }
   }
@@ -25,6 +25,18 @@ export class PaginatedListAspectRatioHelper {
     this.#storeImageRatioSettings(templateCard);
   }
 
+  /**
+   * Gets the aspect ratio of the gallery of a card, as set on its style, without computing the layout
+   * @param {HTMLElement} card - The card element
+   * @returns {number} The aspect ratio, 1 when the card has no gallery
+   */
+  getAspectRatio(card) {
+    const gallery = card.querySelector('.card-gallery');
+    if (!(gallery instanceof HTMLElement)) return 1;
+
+    return Number.parseFloat(gallery.style.getPropertyValue('--gallery-aspect-ratio')) || 1;
+  }
+
   /**
    * Process newly added elements and apply correct aspect ratios
    */
@@ -1,11 +1,54 @@
 import { Component } from '@theme/component';
 import { sectionRenderer } from '@theme/section-renderer';
-import { requestIdleCallback, viewTransition } from '@theme/utilities';
+import { debounce, requestIdleCallback, viewTransition } from '@theme/utilities';
 import { ThemeEvents } from '@theme/events';
 import { PaginatedListAspectRatioHelper } from '@theme/paginated-list-aspect-ratio';
 
+/**
+ * The number of pages loaded before pages far from the viewport are swapped for placeholders.
+ * @type {number}
+ */
+const WINDOWING_MIN_PAGES = 3;
+
+/**
+ * How far from the viewport pages are kept, in viewport heights.
+ * @type {number}
+ */
+const WINDOWING_MARGIN = 2;
+
+/**
+ * The key of the state saved in session storage when leaving the page, restored when navigating back to it.
+ * @type {string}
+ */
+const NAVIGATION_STATE_KEY = 'paginated-list-state';
+
+/**
+ * How long the page in view must stay the same before it's written to the URL, in milliseconds.
+ * Browsers throttle frequent history changes.
+ * @type {number}
+ */
+const PAGE_PARAMETER_DELAY = 300;
+
+/**
+ * @typedef {object} PaginatedListHistoryState
+ * @property {number} [scrollY] - The scroll position.
+ * @property {number} [firstPage] - The first page loaded.
+ * @property {number} [lastPage] - The last page loaded.
+ */
+
+/**
+ * @typedef {object} PaginatedListNavigationState
+ * @property {string} url - The URL of the results, without the page.
+ * @property {number} [scrollY] - The scroll position.
+ * @property {number} [firstPage] - The first page loaded.
+ * @property {number} [lastPage] - The last page loaded.
+ * @property {string} [cardId] - The ID of the last card clicked.
+ */
+
 /**
  * A custom element that renders a paginated list of items.
+ * With infinite scroll, the cards of the pages far from the viewport are emptied and keep their height,
+ * so long lists stay fast to scroll and morph. The URL keeps the page in view.
  *
  * @typedef {object} Refs
  * @property {HTMLUListElement} [grid] - The grid element.
@@ -33,6 +76,42 @@ export default class PaginatedList extends Component {
   /** @type {PaginatedListAspectRatioHelper} */
   #aspectRatioHelper;
 
+  /**
+   * Aborted when the filters or the search query change, so pages fetched for the previous results are dropped
+   * @type {AbortController}
+   */
+  #pagesController = new AbortController();
+
+  /**
+   * The content of the cards swapped for placeholders, restored when they're back near the viewport
+   * @type {WeakMap<HTMLElement, Node[]>}
+   */
+  #virtualizedCards = new WeakMap();
+
+  /** @type {number | null} */
+  #windowFrame = null;
+
+  /**
+   * The cards grouped by page, grouped again when the cards change
+   * @type {{ cards: HTMLElement[], pages: Map<number, HTMLElement[]> } | null}
+   */
+  #cardPages = null;
+
+  /**
+   * The placeholders heights don't match another grid view
+   * @type {MutationObserver}
+   */
+  #layoutObserver = new MutationObserver(() => this.#resetWindow());
+
+  /**
+   * The infinite scroll waits while the pages of a history entry are loaded
+   * @type {boolean}
+   */
+  #isRestoring = false;
+
+  /** @type {string | undefined} */
+  #clickedCardId;
+
   connectedCallback() {
     super.connectedCallback();
 
@@ -50,6 +129,18 @@ export default class PaginatedList extends Component {
 
     // Listen for filter updates to clear cached pages
     document.addEventListener(ThemeEvents.FilterUpdate, this.#handleFilterUpdate);
+
+    if (this.#isInfiniteScroll) {
+      window.addEventListener('scroll', this.#scheduleWindowUpdate, { passive: true });
+      window.addEventListener('resize', this.#handleResize);
+      window.addEventListener('pagehide', this.#saveNavigationState);
+      this.addEventListener('click', this.#handleCardClick);
+
+      const { grid } = this.refs;
+      if (grid) this.#layoutObserver.observe(grid, { attributes: true, attributeFilter: ['product-grid-view'] });
+
+      this.#restoreNavigationState();
+    }
   }
 
   disconnectedCallback() {
@@ -59,6 +150,16 @@ export default class PaginatedList extends Component {
     }
     // Remove the filter update listener
     document.removeEventListener(ThemeEvents.FilterUpdate, this.#handleFilterUpdate);
+
+    window.removeEventListener('scroll', this.#scheduleWindowUpdate);
+    window.removeEventListener('resize', this.#handleResize);
+    window.removeEventListener('pagehide', this.#saveNavigationState);
+    this.removeEventListener('click', this.#handleCardClick);
+    this.#layoutObserver.disconnect();
+    this.#handleResize.cancel();
+    this.#updatePageParameter.cancel();
+    if (this.#windowFrame !== null) cancelAnimationFrame(this.#windowFrame);
+    this.#windowFrame = null;
   }
 
   #observeViewMore() {
@@ -73,6 +174,7 @@ export default class PaginatedList extends Component {
         async (entries) => {
           // Wait for any in-progress view transitions to finish
           if (viewTransition.current) await viewTransition.current;
+          if (this.#isRestoring) return;
 
           for (const entry of entries) {
             if (entry.isIntersecting) {
@@ -160,11 +262,17 @@ export default class PaginatedList extends Component {
     }
 
     if (!this.#shouldUsePage(pageInfo)) return;
+    const { signal } = this.#pagesController;
     const pageContent = await sectionRenderer.getSectionHTML(this.sectionId, true, pageInfo.url);
+    if (signal.aborted) return;
+
     this.pages.set(pageNumber, pageContent);
   }
 
-  async #renderNextPage() {
+  /**
+   * @param {{ updateHistory?: boolean }} [options]
+   */
+  async #renderNextPage({ updateHistory = true } = {}) {
     const { grid } = this.refs;
 
     if (!grid) return;
@@ -188,17 +296,21 @@ export default class PaginatedList extends Component {
     }
 
     grid.append(...nextPageItemElements);
+    this.pages.delete(nextPage.page);
 
     this.#aspectRatioHelper.processNewElements();
 
-    history.pushState('', '', nextPage.url.toString());
+    if (updateHistory) history.pushState('', '', nextPage.url.toString());
 
     requestIdleCallback(() => {
       this.#fetchPage('next');
     });
   }
 
-  async #renderPreviousPage() {
+  /**
+   * @param {{ updateHistory?: boolean }} [options]
+   */
+  async #renderPreviousPage({ updateHistory = true } = {}) {
     const { grid } = this.refs;
 
     if (!grid) return;
@@ -227,10 +339,11 @@ export default class PaginatedList extends Component {
 
     // Prepend the new elements
     grid.prepend(...previousPageItemElements);
+    this.pages.delete(previousPage.page);
 
     this.#aspectRatioHelper.processNewElements();
 
-    history.pushState('', '', previousPage.url.toString());
+    if (updateHistory) history.pushState('', '', previousPage.url.toString());
 
     // Calculate and adjust scroll position to maintain the same view
     if (firstElement) {
@@ -247,6 +360,55 @@ export default class PaginatedList extends Component {
     });
   }
 
+  /**
+   * Gets the state to store in the history entry, to show the same pages when navigating back to it.
+   * @returns {PaginatedListHistoryState}
+   */
+  getHistoryState() {
+    const { cards } = this.refs;
+    const pages = Array.isArray(cards) ? cards.map((card) => Number(card.dataset.page)).filter(Boolean) : [];
+
+    return {
+      scrollY: window.scrollY,
+      firstPage: pages.length ? Math.min(...pages) : undefined,
+      lastPage: pages.length ? Math.max(...pages) : undefined,
+    };
+  }
+
+  /**
+   * Loads the pages of a history entry around the page rendered, then restores its scroll position.
+   * @param {PaginatedListHistoryState} state - The state of the history entry.
+   */
+  async restoreHistoryState({ scrollY, firstPage, lastPage }) {
+    this.#isRestoring = true;
+
+    try {
+      let previousPage = this.#getPage('previous');
+
+      while (firstPage && previousPage && previousPage.page >= firstPage && this.#shouldUsePage(previousPage)) {
+        await this.#renderPreviousPage({ updateHistory: false });
+
+        const followingPage = this.#getPage('previous');
+        if (!followingPage || followingPage.page === previousPage.page) break;
+        previousPage = followingPage;
+      }
+
+      let nextPage = this.#getPage('next');
+
+      while (lastPage && nextPage && nextPage.page <= lastPage && this.#shouldUsePage(nextPage)) {
+        await this.#renderNextPage({ updateHistory: false });
+
+        const followingPage = this.#getPage('next');
+        if (!followingPage || followingPage.page === nextPage.page) break;
+        nextPage = followingPage;
+      }
+    } finally {
+      this.#isRestoring = false;
+    }
+
+    if (scrollY !== undefined) window.scrollTo({ top: scrollY, behavior: 'instant' });
+  }
+
   /**
    * @param {"previous" | "next"} type
    * @returns {{ page: number, url: URL } | undefined}
@@ -289,6 +451,218 @@ export default class PaginatedList extends Component {
     return gridElement.querySelectorAll(':scope > [ref="cards[]"]');
   }
 
+  /**
+   * Remembers the card opened, to bring it back into view when navigating back to the list.
+   * @param {MouseEvent} event - The click event
+   */
+  #handleCardClick = (event) => {
+    if (!(event.target instanceof Element)) return;
+
+    const card = event.target.closest('[ref="cards[]"]');
+    if (card instanceof HTMLElement && card.id) this.#clickedCardId = card.id;
+  };
+
+  /**
+   * Saves the pages loaded, the scroll position and the card opened, when leaving the page.
+   * Pages restored from the back/forward cache keep their state, other ones restore it from session storage.
+   */
+  #saveNavigationState = () => {
+    /** @type {PaginatedListNavigationState} */
+    const state = { ...this.getHistoryState(), url: this.#resultsURL, cardId: this.#clickedCardId };
+
+    sessionStorage.setItem(NAVIGATION_STATE_KEY, JSON.stringify(state));
+  };
+
+  /**
+   * Loads the pages and scrolls back to the card opened, when navigating back to the list.
+   */
+  async #restoreNavigationState() {
+    const [navigation] = performance.getEntriesByType('navigation');
+    if (!(navigation instanceof PerformanceNavigationTiming) || navigation.type !== 'back_forward') return;
+
+    /** @type {PaginatedListNavigationState | null} */
+    let state = null;
+    try {
+      state = JSON.parse(sessionStorage.getItem(NAVIGATION_STATE_KEY) ?? 'null');
+    } catch {
+      return;
+    }
+
+    if (!state || state.url !== this.#resultsURL) return;
+
+    // The product grid turned the browser's scroll restoration off before the first paint, as it would scroll before
+    // the pages are loaded. It's turned back on once they are.
+    try {
+      await this.restoreHistoryState(state);
+    } finally {
+      history.scrollRestoration = 'auto';
+    }
+
+    const card = state.cardId ? document.getElementById(state.cardId) : null;
+    if (!card || !this.contains(card)) return;
+
+    const { top, bottom } = card.getBoundingClientRect();
+    if (bottom < 0 || top > window.innerHeight) card.scrollIntoView({ block: 'center', behavior: 'instant' });
+  }
+
+  /**
+   * @returns {string} The URL of the results, regardless of the page in view
+   */
+  get #resultsURL() {
+    const url = new URL(window.location.href);
+    url.searchParams.delete('page');
+
+    return `${url.pathname}${url.search}`;
+  }
+
+  /** @returns {boolean} */
+  get #isInfiniteScroll() {
+    return this.getAttribute('infinite-scroll') !== 'false';
+  }
+
+  #scheduleWindowUpdate = () => {
+    if (this.#windowFrame !== null) return;
+
+    this.#windowFrame = requestAnimationFrame(() => {
+      this.#windowFrame = null;
+      this.#updateWindow();
+    });
+  };
+
+  #handleResize = debounce(() => this.#resetWindow(), 200);
+
+  /**
+   * Restores every card, as the placeholders heights don't match a new layout, then windows the list again.
+   */
+  #resetWindow() {
+    const { cards } = this.refs;
+
+    if (Array.isArray(cards)) this.#restoreCards(cards);
+    this.#scheduleWindowUpdate();
+  }
+
+  /**
+   * Swaps the pages far from the viewport for placeholders, restores the pages near it,
+   * and keeps the page in view in the URL.
+   */
+  #updateWindow() {
+    const { cards } = this.refs;
+    if (!Array.isArray(cards) || cards.length === 0) return;
+
+    const pages = this.#groupCardsByPage(cards);
+    const margin = window.innerHeight * WINDOWING_MARGIN;
+    const viewportCenter = window.innerHeight / 2;
+    /** @type {HTMLElement[]} */
+    const cardsToVirtualize = [];
+    /** @type {HTMLElement[]} */
+    const cardsToRestore = [];
+    /** @type {number | undefined} */
+    let pageInView;
+
+    for (const [page, pageCards] of pages) {
+      const top = pageCards[0]?.getBoundingClientRect().top ?? 0;
+      const bottom = pageCards[pageCards.length - 1]?.getBoundingClientRect().bottom ?? 0;
+
+      if (top <= viewportCenter && bottom >= viewportCenter) pageInView = page;
+
+      if (pages.size >= WINDOWING_MIN_PAGES && (bottom < -margin || top > window.innerHeight + margin)) {
+        cardsToVirtualize.push(...pageCards);
+      } else {
+        cardsToRestore.push(...pageCards);
+      }
+    }
+
+    this.#virtualizeCards(cardsToVirtualize);
+    this.#restoreCards(cardsToRestore);
+
+    if (pageInView) this.#updatePageParameter(pageInView);
+  }
+
+  /**
+   * @param {HTMLElement[]} cards - The cards of the list
+   * @returns {Map<number, HTMLElement[]>} The cards of each page
+   */
+  #groupCardsByPage(cards) {
+    if (this.#cardPages?.cards === cards) return this.#cardPages.pages;
+
+    /** @type {Map<number, HTMLElement[]>} */
+    const pages = new Map();
+    for (const card of cards) {
+      const page = Number(card.dataset.page);
+      const pageCards = pages.get(page);
+
+      if (pageCards) {
+        pageCards.push(card);
+      } else {
+        pages.set(page, [card]);
+      }
+    }
+
+    this.#cardPages = { cards, pages };
+    return pages;
+  }
+
+  /**
+   * Empties cards, keeping their height so the scroll position doesn't move.
+   * Only the first card is measured, the heights of the others are estimated from the aspect ratio of their gallery.
+   * @param {HTMLElement[]} cards - The cards to empty
+   */
+  #virtualizeCards(cards) {
+    const cardsToVirtualize = cards.filter((card) => !card.hasAttribute('data-virtualized'));
+    const [firstCard] = cardsToVirtualize;
+    if (!firstCard) return;
+
+    const aspectRatioHelper = this.#aspectRatioHelper;
+    /** @param {HTMLElement} card */
+    const getAspectRatio = (card) => aspectRatioHelper?.getAspectRatio(card) ?? 1;
+
+    // The cards share their width, and the height of their content below the gallery
+    const { width, height } = firstCard.getBoundingClientRect();
+    const contentHeight = Math.max(0, height - width / getAspectRatio(firstCard));
+
+    for (const card of cardsToVirtualize) {
+      const estimatedHeight = width / getAspectRatio(card) + contentHeight;
+
+      this.#virtualizedCards.set(card, Array.from(card.childNodes));
+      card.style.height = `${estimatedHeight}px`;
+      card.setAttribute('data-virtualized', '');
+      card.replaceChildren();
+    }
+  }
+
+  /**
+   * Restores the content of emptied cards.
+   * Cards that were morphed since they were emptied have new content, which is kept.
+   * @param {HTMLElement[]} cards - The cards to restore
+   */
+  #restoreCards(cards) {
+    for (const card of cards) {
+      const content = this.#virtualizedCards.get(card);
+      this.#virtualizedCards.delete(card);
+
+      if (!card.hasAttribute('data-virtualized')) continue;
+
+      card.removeAttribute('data-virtualized');
+      card.style.removeProperty('height');
+      if (content) card.replaceChildren(...content);
+    }
+  }
+
+  /**
+   * Keeps the page in view in the URL, so it can be shared or reloaded, once scrolling settles.
+   */
+  #updatePageParameter = debounce(
+    /** @param {number} page - The page in view */
+    (page) => {
+      const url = new URL(window.location.href);
+      if ((url.searchParams.get('page') ?? '1') === page.toString()) return;
+
+      url.searchParams.set('page', page.toString());
+      history.replaceState(history.state, '', url.toString());
+    },
+    PAGE_PARAMETER_DELAY
+  );
+
   get sectionId() {
     const id = this.getAttribute('section-id');
 
@@ -301,7 +675,13 @@ export default class PaginatedList extends Component {
    * Handle filter updates by clearing cached pages
    */
   #handleFilterUpdate = () => {
+    // The page in view belongs to the previous results
+    this.#updatePageParameter.cancel();
     this.pages.clear();
+    this.#virtualizedCards = new WeakMap();
+
+    this.#pagesController.abort();
+    this.#pagesController = new AbortController();
 
     // Resolve any pending promises to unblock waiting renders
     this.#resolveNextPagePromise?.();
@@ -3,10 +3,69 @@ import { debounce, onAnimationEnd, prefersReducedMotion } from '@theme/utilities
 import { sectionRenderer } from '@theme/section-renderer';
 import { morph } from '@theme/morph';
 import { RecentlyViewed } from '@theme/recently-viewed-products';
+import { tabSync } from '@theme/tab-sync';
 import { DialogCloseEvent, DialogOpenEvent, DialogComponent } from '@theme/dialog';
 
+/**
+ * Updates the recent searches in localStorage.
+ */
+class RecentSearches {
+  /** @static @constant {string} The key used to store the recent searches in local storage */
+  static #STORAGE_KEY = 'recentSearches';
+  /** @static @constant {number} The maximum number of searches to store */
+  static #MAX_SEARCHES = 5;
+
+  /**
+   * Adds a search term, or moves it to the top if it was already searched.
+   * @param {string} term - The search term.
+   */
+  static add(term) {
+    const searchTerm = term.trim();
+    if (!searchTerm) return;
+
+    const searches = this.get().filter((search) => search.toLowerCase() !== searchTerm.toLowerCase());
+    searches.unshift(searchTerm);
+
+    localStorage.setItem(this.#STORAGE_KEY, JSON.stringify(searches.slice(0, this.#MAX_SEARCHES)));
+  }
+
+  /**
+   * Removes a search term.
+   * @param {string} term - The search term.
+   */
+  static remove(term) {
+    localStorage.setItem(this.#STORAGE_KEY, JSON.stringify(this.get().filter((search) => search !== term)));
+  }
+
+  /**
+   * Retrieves the recent searches, most recent first.
+   * @returns {string[]} The search terms.
+   */
+  static get() {
+    const searches = JSON.parse(localStorage.getItem(this.#STORAGE_KEY) || '[]');
+
+    return Array.isArray(searches) ? searches : [];
+  }
+}
+
+/** The number of search terms whose results are kept in memory. */
+const MAX_CACHED_SEARCHES = 20;
+
+/**
+ * The results that are options of the combobox.
+ * For recent searches it's the link, as the list item also holds the remove button.
+ */
+const OPTION_SELECTOR = [
+  '.predictive-search-results__card',
+  '.predictive-search-results__card--query',
+  '.predictive-search-results__recent-search-link',
+].join(', ');
+
 /**
  * A custom element that allows the user to search for resources available on the store.
+ * It follows the combobox pattern: the input keeps the focus, and the highlighted result is its active descendant.
+ * The results are split in groups (search suggestions, products, collections, pages, articles and recent
+ * searches). The up and down arrow keys move through all the results, tab and shift+tab jump between groups.
  *
  * @typedef {object} Refs
  * @property {HTMLInputElement} searchInput - The search input element.
@@ -16,6 +75,9 @@ import { DialogCloseEvent, DialogOpenEvent, DialogComponent } from '@theme/dialo
  * @property {HTMLElement} [recentlyViewedWrapper] - The recently viewed products wrapper.
  * @property {HTMLElement[]} [recentlyViewedTitle] - The recently viewed title elements.
  * @property {HTMLElement[]} [recentlyViewedItems] - The recently viewed product items.
+ * @property {HTMLElement} [recentSearches] - The recent searches wrapper.
+ * @property {HTMLElement} [recentSearchesList] - The list of recent searches.
+ * @property {HTMLTemplateElement} [recentSearchTemplate] - The template of a recent search.
  * @extends {Component<Refs>}
  */
 class PredictiveSearchComponent extends Component {
@@ -30,6 +92,12 @@ class PredictiveSearchComponent extends Component {
 
   #emptyStateLoaded = false;
 
+  /**
+   * The results markup of the previous search terms, so going back to one of them is instant.
+   * @type {Map<string, string>}
+   */
+  #resultsCache = new Map();
+
   /**
    * Get the dialog component.
    * @returns {DialogComponent | null} The dialog component.
@@ -56,13 +124,29 @@ class PredictiveSearchComponent extends Component {
       this.addEventListener('click', this.#handleModalClick, { signal });
     }
 
+    this.refs.predictiveSearchResults.addEventListener('click', this.#handleResultClick, { signal });
+    this.#renderRecentSearches();
+    this.#updateOptions();
+
     if (RecentlyViewed.getProducts().length > 0) {
       requestIdleCallback(() => {
         this.#loadEmptyState();
       });
     }
+
+    const unsubscribe = tabSync.subscribe('recently-viewed', this.#handleRecentlyViewedChange);
+    signal.addEventListener('abort', unsubscribe);
   }
 
+  /**
+   * Refreshes the recently viewed products when another tab changed them, unless results are shown.
+   */
+  #handleRecentlyViewedChange = () => {
+    if (!this.#emptyStateLoaded || this.refs.searchInput.value.trim()) return;
+
+    this.#resetSearch();
+  };
+
   /**
    * Handles clicks within the predictive search modal to maintain focus on the input
    * @param {MouseEvent} event - The mouse event
@@ -82,6 +166,17 @@ class PredictiveSearchComponent extends Component {
     }
   };
 
+  /**
+   * Remembers the search term when one of its results, or a recent search, is opened.
+   * @param {MouseEvent} event - The mouse event
+   */
+  #handleResultClick = (event) => {
+    if (!(event.target instanceof Element) || !event.target.closest('a')) return;
+
+    const recentSearch = /** @type {HTMLElement | null} */ (event.target.closest('[data-search-term]'));
+    RecentSearches.add(recentSearch?.dataset.searchTerm ?? this.refs.searchInput.value);
+  };
+
   disconnectedCallback() {
     super.disconnectedCallback();
     this.#controller.abort();
@@ -116,25 +211,35 @@ class PredictiveSearchComponent extends Component {
     this.resetSearch(false);
   }
 
+  /**
+   * The results, by group, in the order they're displayed.
+   * @returns {HTMLElement[][]}
+   */
+  get #resultGroups() {
+    return Array.from(this.refs.predictiveSearchResults.querySelectorAll('[data-search-group]'))
+      .filter((group) => group instanceof HTMLElement && !group.closest('[hidden]'))
+      .map((group) => /** @type {HTMLElement[]} */ (Array.from(group.querySelectorAll(OPTION_SELECTOR))))
+      .filter((items) => items.length > 0);
+  }
+
   get #allResultsItems() {
-    const containers = Array.from(
-      this.querySelectorAll(
-        '.predictive-search-results__wrapper-queries, ' +
-          '.predictive-search-results__wrapper-products, ' +
-          '.predictive-search-results__list'
-      )
-    );
+    return this.#resultGroups.flat();
+  }
 
-    const allItems = containers
-      .flatMap((container) => {
-        if (container.classList.contains('predictive-search-results__wrapper-products')) {
-          return Array.from(container.querySelectorAll('.predictive-search-results__card'));
-        }
-        return Array.from(container.querySelectorAll('[ref="resultsItems[]"], .predictive-search-results__card'));
-      })
-      .filter((item) => item instanceof HTMLElement);
+  /**
+   * Marks the results as options of the combobox, after they're rendered.
+   */
+  #updateOptions() {
+    const { searchInput } = this.refs;
+    const items = this.#allResultsItems;
 
-    return /** @type {HTMLElement[]} */ (allItems);
+    for (const [index, item] of items.entries()) {
+      item.setAttribute('role', 'option');
+      item.id = `predictive-search-option-${index}`;
+    }
+
+    searchInput.setAttribute('aria-expanded', String(items.length > 0));
+    searchInput.removeAttribute('aria-activedescendant');
   }
 
   /**
@@ -168,10 +273,36 @@ class PredictiveSearchComponent extends Component {
       }
     }
 
+    if (activeItem) {
+      this.refs.searchInput.setAttribute('aria-activedescendant', activeItem.id);
+    } else {
+      this.refs.searchInput.removeAttribute('aria-activedescendant');
+    }
+
     activeItem?.scrollIntoView({ behavior: prefersReducedMotion() ? 'instant' : 'smooth', block: 'nearest' });
     this.refs.searchInput.focus();
   }
 
+  /**
+   * Highlights the first result of the next or previous group.
+   * @param {1 | -1} direction - 1 for the next group, -1 for the previous one.
+   */
+  #moveToGroup(direction) {
+    const groups = this.#resultGroups;
+    const currentItem = this.#currentItem;
+    const currentGroup = currentItem ? groups.findIndex((items) => items.includes(currentItem)) : -1;
+
+    let groupIndex;
+    if (currentGroup === -1) {
+      groupIndex = direction === 1 ? 0 : groups.length - 1;
+    } else {
+      groupIndex = (currentGroup + direction + groups.length) % groups.length;
+    }
+
+    const firstItem = groups[groupIndex]?.[0];
+    if (firstItem) this.#currentIndex = this.#allResultsItems.indexOf(firstItem);
+  }
+
   get #currentItem() {
     return this.#allResultsItems?.[this.#currentIndex];
   }
@@ -201,15 +332,9 @@ class PredictiveSearchComponent extends Component {
         break;
 
       case 'Tab':
-        if (event.shiftKey) {
-          this.#isKeyboardNavigation = true;
-          event.preventDefault();
-          this.#currentIndex = currentIndex > 0 ? currentIndex - 1 : totalItems - 1;
-        } else {
-          this.#isKeyboardNavigation = true;
-          event.preventDefault();
-          this.#currentIndex = currentIndex < totalItems - 1 ? currentIndex + 1 : 0;
-        }
+        this.#isKeyboardNavigation = true;
+        event.preventDefault();
+        this.#moveToGroup(event.shiftKey ? -1 : 1);
         break;
 
       case 'ArrowUp':
@@ -228,8 +353,13 @@ class PredictiveSearchComponent extends Component {
 
         if (this.#currentIndex >= 0) {
           event.preventDefault();
-          this.#currentItem?.querySelector('a')?.click();
+          // Opening the result records the search term. Recent searches are options themselves.
+          const item = this.#currentItem;
+          const link = item instanceof HTMLAnchorElement ? item : item?.querySelector('a');
+          link?.click();
         } else {
+          RecentSearches.add(this.refs.searchInput.value);
+
           const searchUrl = new URL(Theme.routes.search_url, location.origin);
           searchUrl.searchParams.set('q', this.refs.searchInput.value);
           window.location.href = searchUrl.toString();
@@ -239,6 +369,57 @@ class PredictiveSearchComponent extends Component {
     }
   };
 
+  /**
+   * Records the search term when the search form is submitted.
+   */
+  handleSubmit() {
+    RecentSearches.add(this.refs.searchInput.value);
+  }
+
+  /**
+   * Removes a recent search.
+   * @param {Event} event - The click event, from the remove button of the search.
+   */
+  removeRecentSearch(event) {
+    event.stopPropagation();
+
+    const item = /** @type {HTMLElement | null} */ (
+      event.target instanceof Element ? event.target.closest('[data-search-term]') : null
+    );
+    if (!item?.dataset.searchTerm) return;
+
+    RecentSearches.remove(item.dataset.searchTerm);
+    this.#renderRecentSearches();
+    this.#updateOptions();
+    this.refs.searchInput.focus();
+  }
+
+  /**
+   * Renders the recent searches of the empty state.
+   */
+  #renderRecentSearches() {
+    const { recentSearches, recentSearchesList, recentSearchTemplate } = this.refs;
+    if (!recentSearches || !recentSearchesList || !recentSearchTemplate) return;
+
+    const items = RecentSearches.get().map((term) => {
+      const item = /** @type {DocumentFragment} */ (recentSearchTemplate.content.cloneNode(true)).firstElementChild;
+      if (!(item instanceof HTMLElement)) return null;
+
+      const url = new URL(Theme.routes.search_url, location.origin);
+      url.searchParams.set('q', term);
+
+      item.dataset.searchTerm = term;
+      item.querySelector('a')?.setAttribute('href', url.toString());
+      const label = item.querySelector('[data-search-term-label]');
+      if (label) label.textContent = term;
+
+      return item;
+    });
+
+    recentSearchesList.replaceChildren(...items.filter((item) => item !== null));
+    recentSearches.hidden = recentSearchesList.children.length === 0;
+  }
+
   /**
    * Clears the recently viewed products.
    * @param {Event} event - The event.
@@ -313,24 +494,28 @@ class PredictiveSearchComponent extends Component {
   async #getSearchResults(searchTerm) {
     if (!this.dataset.sectionId) return;
 
+    const abortController = this.#createAbortController();
+
+    const cachedMarkup = this.#resultsCache.get(searchTerm);
+    if (cachedMarkup) {
+      this.#renderResults(cachedMarkup);
+      return;
+    }
+
     const url = new URL(Theme.routes.predictive_search_url, location.origin);
     url.searchParams.set('q', searchTerm);
     url.searchParams.set('resources[limit_scope]', 'each');
 
-    const { predictiveSearchResults } = this.refs;
-
-    const abortController = this.#createAbortController();
-
     sectionRenderer
       .getSectionHTML(this.dataset.sectionId, false, url)
       .then((resultsMarkup) => {
         if (!resultsMarkup) return;
 
-        if (abortController.signal.aborted) return;
+        this.#cacheResults(searchTerm, resultsMarkup);
 
-        morph(predictiveSearchResults, resultsMarkup);
+        if (abortController.signal.aborted) return;
 
-        this.#resetScrollPositions();
+        this.#renderResults(resultsMarkup);
       })
       .catch((error) => {
         if (abortController.signal.aborted) return;
@@ -338,6 +523,31 @@ class PredictiveSearchComponent extends Component {
       });
   }
 
+  /**
+   * @param {string} resultsMarkup - The markup of the predictive search section.
+   */
+  #renderResults(resultsMarkup) {
+    morph(this.refs.predictiveSearchResults, resultsMarkup);
+
+    this.#updateOptions();
+    this.#resetScrollPositions();
+  }
+
+  /**
+   * Keeps the results of a search term, dropping the oldest term when the cache is full.
+   * @param {string} searchTerm - The search term.
+   * @param {string} resultsMarkup - The markup of the results.
+   */
+  #cacheResults(searchTerm, resultsMarkup) {
+    this.#resultsCache.delete(searchTerm);
+    this.#resultsCache.set(searchTerm, resultsMarkup);
+
+    if (this.#resultsCache.size > MAX_CACHED_SEARCHES) {
+      const [oldestTerm] = this.#resultsCache.keys();
+      if (oldestTerm !== undefined) this.#resultsCache.delete(oldestTerm);
+    }
+  }
+
   /**
    * Fetch the markup for the recently viewed products.
    * @returns {Promise<string | null>} The markup for the recently viewed products.
@@ -345,7 +555,8 @@ class PredictiveSearchComponent extends Component {
   async #getRecentlyViewedProductsMarkup() {
     if (!this.dataset.sectionId) return null;
 
-    const viewedProducts = RecentlyViewed.getProducts();
+    // The popover only has room for a few products
+    const viewedProducts = RecentlyViewed.getProducts({ limit: 4 });
     if (viewedProducts.length === 0) return null;
 
     const url = new URL(Theme.routes.search_url, location.origin);
@@ -421,6 +632,8 @@ class PredictiveSearchComponent extends Component {
     if (abortController.signal.aborted) return;
 
     morph(predictiveSearchResults, parsedEmptySectionMarkup);
+    this.#renderRecentSearches();
+    this.#updateOptions();
     this.#resetScrollPositions();
   };
 }
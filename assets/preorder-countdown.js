@@ -0,0 +1,70 @@
+import { Component } from '@theme/component';
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Counts down to the release of a pre-order, every minute until it's released.
+ *
+ * @typedef {object} PreorderCountdownRefs
+ * @property {HTMLElement} countdown - The time left until the release.
+ *
+ * @extends {Component<PreorderCountdownRefs>}
+ */
+class PreorderCountdownComponent extends Component {
+  requiredRefs = ['countdown'];
+
+  /** @type {number | undefined} */
+  #interval;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#start();
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    // The release time may have changed along with the product
+    this.#start();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    clearInterval(this.#interval);
+  }
+
+  #start() {
+    clearInterval(this.#interval);
+
+    this.#render();
+    this.#interval = setInterval(this.#render, MINUTE);
+  }
+
+  /**
+   * Renders the days, hours and minutes left, and hides the countdown once the release time is reached.
+   */
+  #render = () => {
+    const { countdown } = this.refs;
+    const timeLeft = Number(this.dataset.releaseTime) * 1000 - Date.now();
+
+    if (!(timeLeft > 0)) {
+      countdown.hidden = true;
+      clearInterval(this.#interval);
+      return;
+    }
+
+    const minutes = Math.ceil(timeLeft / MINUTE);
+
+    countdown.textContent = (this.dataset.countdown ?? '')
+      .replace('[days]', String(Math.floor(minutes / (60 * 24))))
+      .replace('[hours]', String(Math.floor(minutes / 60) % 24))
+      .replace('[minutes]', String(minutes % 60));
+    countdown.hidden = false;
+  };
+}
+
+if (!customElements.get('preorder-countdown-component')) {
+  customElements.define('preorder-countdown-component', PreorderCountdownComponent);
+}
@@ -0,0 +1,425 @@
+import { Component } from '@theme/component';
+import { DialogComponent } from '@theme/dialog';
+import { ProductCompareUpdateEvent, ThemeEvents } from '@theme/events';
+import { sectionRenderer } from '@theme/section-renderer';
+import { tabSync } from '@theme/tab-sync';
+
+/**
+ * @typedef {object} ProductCompareItem
+ * @property {string} productId - The product id.
+ * @property {string} title - The product title, shown in the tray.
+ * @property {string} url - The product URL.
+ * @property {string} [image] - The URL of a small product image.
+ */
+
+/**
+ * Updates the products selected for comparison in localStorage, so the selection is kept across collection pages.
+ * Changes dispatch a `ProductCompareUpdateEvent` on the document, and are announced to the other tabs with the
+ * `product-compare` tab sync message.
+ */
+export class ProductCompare {
+  /** @static @constant {string} The key used to store the selected products in local storage */
+  static #STORAGE_KEY = 'productCompare';
+  /** @static @constant {number} The maximum number of products that can be compared */
+  static MAX_ITEMS = 4;
+
+  /**
+   * Selects a product. Nothing is selected once the maximum is reached.
+   * @param {ProductCompareItem} item - The product to select.
+   */
+  static addItem(item) {
+    const items = this.getItems();
+    if (items.length >= this.MAX_ITEMS || items.some(({ productId }) => productId === item.productId)) return;
+
+    this.#save([...items, item]);
+  }
+
+  /**
+   * Removes a selected product.
+   * @param {string} productId - The ID of the product to remove.
+   */
+  static removeItem(productId) {
+    this.#save(this.getItems().filter((item) => item.productId !== productId));
+  }
+
+  /**
+   * Removes all the selected products.
+   */
+  static clear() {
+    this.#save([]);
+  }
+
+  /**
+   * Checks whether a product is selected.
+   * @param {string} productId - The ID of the product.
+   * @returns {boolean} Whether the product is selected.
+   */
+  static hasProduct(productId) {
+    return this.getItems().some((item) => item.productId === productId);
+  }
+
+  /**
+   * @returns {boolean} Whether the maximum number of products is selected.
+   */
+  static isFull() {
+    return this.getItems().length >= this.MAX_ITEMS;
+  }
+
+  /**
+   * Retrieves the selected products from local storage.
+   * @returns {ProductCompareItem[]} The selected products, in selection order.
+   */
+  static getItems() {
+    const items = JSON.parse(localStorage.getItem(this.#STORAGE_KEY) || '[]');
+
+    return Array.isArray(items) ? items.slice(0, this.MAX_ITEMS) : [];
+  }
+
+  /**
+   * @param {ProductCompareItem[]} items - The items to store.
+   */
+  static #save(items) {
+    localStorage.setItem(this.#STORAGE_KEY, JSON.stringify(items));
+    document.dispatchEvent(new ProductCompareUpdateEvent(items));
+    tabSync.publish('product-compare');
+  }
+}
+
+tabSync.subscribe('product-compare', () => {
+  document.dispatchEvent(new ProductCompareUpdateEvent(ProductCompare.getItems()));
+});
+
+/**
+ * The "Compare" checkbox of a product card.
+ *
+ * @typedef {object} CompareToggleRefs
+ * @property {HTMLInputElement} checkbox - The checkbox.
+ *
+ * @extends {Component<CompareToggleRefs>}
+ */
+class CompareToggleComponent extends Component {
+  requiredRefs = ['checkbox'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.productCompareUpdate, this.#update);
+    this.#update();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.productCompareUpdate, this.#update);
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    // The checkbox is rendered unchecked, and the card may show another product
+    this.#update();
+  }
+
+  /**
+   * Selects the product for comparison, or removes it.
+   */
+  toggle() {
+    const { productId, productTitle = '', productUrl = '', productImage } = this.dataset;
+    if (!productId) return;
+
+    if (!this.refs.checkbox.checked) {
+      ProductCompare.removeItem(productId);
+      return;
+    }
+
+    ProductCompare.addItem({ productId, title: productTitle, url: productUrl, image: productImage });
+    // The product isn't selected when the maximum is reached
+    this.#update();
+  }
+
+  #update = () => {
+    const { checkbox } = this.refs;
+    const { productId } = this.dataset;
+    const selected = Boolean(productId && ProductCompare.hasProduct(productId));
+
+    checkbox.checked = selected;
+    checkbox.disabled = !selected && ProductCompare.isFull();
+  };
+}
+
+if (!customElements.get('compare-toggle-component')) {
+  customElements.define('compare-toggle-component', CompareToggleComponent);
+}
+
+/**
+ * The list of the selected products, in the panel of the comparison tray.
+ *
+ * @typedef {object} CompareListRefs
+ * @property {HTMLElement} items - The list of selected products.
+ * @property {HTMLTemplateElement} itemTemplate - The template of a selected product.
+ * @property {HTMLButtonElement} compareButton - Opens the comparison, enabled when two products are selected.
+ * @property {HTMLElement} limitMessage - Shown when the maximum number of products is selected.
+ *
+ * @extends {Component<CompareListRefs>}
+ */
+class CompareListComponent extends Component {
+  requiredRefs = ['items', 'itemTemplate', 'compareButton', 'limitMessage'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.productCompareUpdate, this.#render);
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.productCompareUpdate, this.#render);
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+    this.#render();
+  }
+
+  #render = () => {
+    const { items: list, itemTemplate, compareButton, limitMessage } = this.refs;
+    const items = ProductCompare.getItems();
+
+    const entries = items.map((item) => {
+      const entry = /** @type {DocumentFragment} */ (itemTemplate.content.cloneNode(true)).firstElementChild;
+      if (!(entry instanceof HTMLElement)) return null;
+
+      const link = entry.querySelector('a');
+      if (link) link.href = item.url;
+
+      const title = entry.querySelector('[data-item-title]');
+      if (title) title.textContent = item.title;
+
+      const image = entry.querySelector('img');
+      if (image && item.image) {
+        image.src = item.image;
+      } else {
+        image?.remove();
+      }
+
+      const removeButton = entry.querySelector('button');
+      removeButton?.setAttribute('on:click', `compare-tray-component/removeProduct/${item.productId}`);
+      removeButton?.setAttribute('aria-label', (removeButton.dataset.label ?? '').replace('[title]', item.title));
+
+      return entry;
+    });
+
+    list.replaceChildren(...entries.filter((entry) => entry !== null));
+    compareButton.disabled = items.length < 2;
+    limitMessage.hidden = items.length < ProductCompare.MAX_ITEMS;
+  };
+}
+
+if (!customElements.get('compare-list-component')) {
+  customElements.define('compare-list-component', CompareListComponent);
+}
+
+const SECTION_ID = 'product-compare';
+
+/**
+ * The comparison tray of the facets bar, and the dialog comparing the selected products.
+ * Each product is rendered by the `product-compare` section on the product URL, and the products are laid out in a
+ * table with a column per product. Rows where the products differ are highlighted.
+ * The tray is rendered from local storage, so it's rendered again when the facets are re-rendered.
+ *
+ * @typedef {object} CompareTrayRefs
+ * @property {HTMLDialogElement} dialog - The dialog element.
+ * @property {HTMLElement} tray - The tray, hidden when no product is selected.
+ * @property {HTMLElement} count - The number of selected products.
+ * @property {HTMLElement} table - The container of the comparison table.
+ * @property {HTMLElement} error - Shown when the products couldn't be rendered.
+ *
+ * @extends {DialogComponent<CompareTrayRefs>}
+ */
+class CompareTrayComponent extends DialogComponent {
+  requiredRefs = ['dialog', 'tray', 'count', 'table', 'error'];
+
+  /** @type {AbortController | null} */
+  #renderController = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.productCompareUpdate, this.#onCompareUpdate);
+    this.#renderTray();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.productCompareUpdate, this.#onCompareUpdate);
+    this.#renderController?.abort();
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+    this.#renderTray();
+  }
+
+  showDialog() {
+    super.showDialog();
+    this.#renderTable();
+  }
+
+  /**
+   * Removes a product from the comparison.
+   * @param {number | string} productId - The ID of the product to remove.
+   */
+  removeProduct(productId) {
+    ProductCompare.removeItem(String(productId));
+  }
+
+  /**
+   * Removes all the products from the comparison.
+   */
+  clear() {
+    ProductCompare.clear();
+  }
+
+  #onCompareUpdate = () => {
+    this.#renderTray();
+
+    if (!this.refs.dialog.open) return;
+
+    if (ProductCompare.getItems().length === 0) {
+      this.closeDialog();
+    } else {
+      this.#renderTable();
+    }
+  };
+
+  #renderTray() {
+    const { tray, count } = this.refs;
+    const { length } = ProductCompare.getItems();
+
+    count.textContent = String(length);
+    tray.hidden = length === 0;
+  }
+
+  async #renderTable() {
+    const { table, error } = this.refs;
+    const items = ProductCompare.getItems();
+
+    this.#renderController?.abort();
+    const controller = new AbortController();
+    this.#renderController = controller;
+
+    error.hidden = true;
+
+    if (items.length === 0) {
+      table.replaceChildren();
+      return;
+    }
+
+    try {
+      const products = await Promise.all(items.map((item) => this.#renderProduct(item)));
+      if (controller.signal.aborted) return;
+
+      // Products that no longer exist are left out
+      table.replaceChildren(this.#buildTable(products.filter((product) => product instanceof HTMLElement)));
+    } catch (renderError) {
+      if (controller.signal.aborted) return;
+
+      console.error('Product compare error:', renderError);
+      table.replaceChildren();
+      error.hidden = false;
+    }
+  }
+
+  /**
+   * Renders the compared details of a product.
+   * @param {ProductCompareItem} item - The selected product.
+   * @returns {Promise<Element | null | undefined>} The rendered product, if it still exists.
+   */
+  async #renderProduct({ productId, url }) {
+    const html = await sectionRenderer.getSectionHTML(SECTION_ID, false, new URL(url, location.origin));
+    const renderedDocument = new DOMParser().parseFromString(html, 'text/html');
+
+    const renderedProducts = renderedDocument.getElementById('product-compare-products');
+
+    return renderedProducts?.querySelector(`[data-product-id="${CSS.escape(productId)}"]`);
+  }
+
+  /**
+   * Lays out the rendered products in a table, with a column per product and a row per rendered detail.
+   * @param {HTMLElement[]} products - The rendered products, in selection order.
+   * @returns {HTMLTableElement}
+   */
+  #buildTable(products) {
+    /** @type {string[]} */
+    const rowKeys = [];
+
+    // Products don't share all their options and metafields, the rows of each product are merged in their order
+    for (const product of products) {
+      let index = -1;
+
+      for (const row of product.querySelectorAll('[data-row]')) {
+        const key = /** @type {HTMLElement} */ (row).dataset.row ?? '';
+        const existingIndex = rowKeys.indexOf(key);
+
+        if (existingIndex === -1) {
+          rowKeys.splice(++index, 0, key);
+        } else {
+          index = existingIndex;
+        }
+      }
+    }
+
+    const table = document.createElement('table');
+    table.className = 'product-compare__table';
+
+    const headerRow = table.createTHead().insertRow();
+    headerRow.append(document.createElement('td'));
+
+    for (const product of products) {
+      const header = document.createElement('th');
+      header.scope = 'col';
+      header.append(...(product.querySelector('[data-product-header]')?.childNodes ?? []));
+      headerRow.append(header);
+    }
+
+    const body = table.createTBody();
+
+    for (const key of rowKeys) {
+      const rows = products.map((product) => product.querySelector(`[data-row="${CSS.escape(key)}"]`));
+      const label = rows.find((row) => row)?.querySelector('dt');
+      const row = body.insertRow();
+
+      const header = document.createElement('th');
+      header.scope = 'row';
+      header.textContent = label?.textContent?.trim() ?? '';
+      row.append(header);
+
+      /** @type {Set<string>} */
+      const values = new Set();
+
+      for (const productRow of rows) {
+        const value = productRow?.querySelector('dd');
+        const cell = row.insertCell();
+
+        if (value) {
+          cell.append(...value.childNodes);
+        } else {
+          cell.textContent = '–';
+        }
+
+        values.add(cell.textContent?.trim() ?? '');
+      }
+
+      row.toggleAttribute('data-differs', values.size > 1);
+    }
+
+    return table;
+  }
+}
+
+if (!customElements.get('compare-tray-component')) {
+  customElements.define('compare-tray-component', CompareTrayComponent);
+}
@@ -1,6 +1,8 @@
 import { Component } from '@theme/component';
-import { fetchConfig, preloadImage, onAnimationEnd, yieldToMainThread } from '@theme/utilities';
-import { ThemeEvents, CartAddEvent, CartErrorEvent, CartUpdateEvent, VariantUpdateEvent } from '@theme/events';
+import { CartQueueDeferredError } from '@theme/cart-queue';
+import { cartStore } from '@theme/cart-store';
+import { preloadImage, onAnimationEnd, yieldToMainThread } from '@theme/utilities';
+import { ThemeEvents, CartAddEvent, CartErrorEvent, VariantUpdateEvent } from '@theme/events';
 import { cartPerformance } from '@theme/performance';
 import { morph } from '@theme/morph';
 
@@ -169,8 +171,6 @@ if (!customElements.get('add-to-cart-component')) {
 /**
  * A custom element that manages a product form.
  *
- * @typedef {{items: Array<{quantity: number, variant_id: number}>}} Cart
- *
  * @typedef {object} ProductFormRefs
  * @property {HTMLInputElement} variantId - The form input for submitting the variant ID.
  * @property {AddToCartComponent | undefined} addToCartButtonContainer - The add to cart button container element.
@@ -185,6 +185,9 @@ if (!customElements.get('add-to-cart-component')) {
  * @property {HTMLElement | undefined} quantitySelectorWrapper - The quantity selector wrapper element.
  * @property {HTMLElement | undefined} quantityLabel - The quantity label element.
  * @property {HTMLElement | undefined} pricePerItem - The price per item component.
+ * @property {(HTMLElement & { update: (variant: any) => void }) | undefined} backInStock - The back in stock form.
+ * @property {HTMLInputElement | undefined} preorderProperty - The line item property of pre-orders.
+ * @property {HTMLElement | undefined} preorderNotice - The ship date and countdown of pre-orders.
  *
  * @extends Component<ProductFormRefs>
  */
@@ -195,6 +198,9 @@ class ProductFormComponent extends Component {
   /** @type {number | undefined} */
   #timeout;
 
+  /** @type {(() => void) | undefined} */
+  #unsubscribe;
+
   connectedCallback() {
     super.connectedCallback();
 
@@ -203,27 +209,29 @@ class ProductFormComponent extends Component {
     target?.addEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate, { signal });
     target?.addEventListener(ThemeEvents.variantSelected, this.#onVariantSelected, { signal });
 
-    // Listen for cart updates to sync data-cart-quantity
-    document.addEventListener(ThemeEvents.cartUpdate, this.#onCartUpdate, { signal });
+    // Sync data-cart-quantity with the cart, including optimistic changes. The cart is only loaded for the B2B
+    // quantity rules and pricing, which show the quantity already in the cart.
+    const { quantityRules, pricePerItem, volumePricing } = this.refs;
+    const seed = Boolean(quantityRules || pricePerItem || volumePricing);
+    this.#unsubscribe = cartStore.subscribe(this.#updateCartQuantity, { seed });
   }
 
   disconnectedCallback() {
     super.disconnectedCallback();
 
     this.#abortController.abort();
+    this.#unsubscribe?.();
   }
 
   /**
-   * Updates quantity selector with cart data for current variant
-   * @param {Cart} cart - The cart object with items array
+   * Updates quantity selector with the cart quantity of the current variant
    * @returns {number} The cart quantity for the current variant
    */
-  #updateCartQuantityFromData(cart) {
+  #updateCartQuantity = () => {
     const variantIdInput = /** @type {HTMLInputElement | null} */ (this.querySelector('input[name="id"]'));
-    if (!variantIdInput?.value || !cart?.items) return 0;
+    if (!variantIdInput?.value || !cartStore.cart) return 0;
 
-    const cartItem = cart.items.find((item) => item.variant_id.toString() === variantIdInput.value.toString());
-    const cartQty = cartItem ? cartItem.quantity : 0;
+    const cartQty = cartStore.getVariantQuantity(variantIdInput.value);
 
     // Use public API to update quantity selector
     const quantitySelector = /** @type {any | undefined} */ (this.querySelector('quantity-selector-component'));
@@ -235,41 +243,6 @@ class ProductFormComponent extends Component {
     this.#updateQuantityLabel(cartQty);
 
     return cartQty;
-  }
-
-  /**
-   * Fetches cart and updates quantity selector for current variant
-   * @returns {Promise<number>} The cart quantity for the current variant
-   */
-  async #fetchAndUpdateCartQuantity() {
-    const variantIdInput = /** @type {HTMLInputElement | null} */ (this.querySelector('input[name="id"]'));
-    if (!variantIdInput?.value) return 0;
-
-    try {
-      const response = await fetch('/cart.js');
-      const cart = await response.json();
-
-      return this.#updateCartQuantityFromData(cart);
-    } catch (error) {
-      console.error('Failed to fetch cart quantity:', error);
-      return 0;
-    }
-  }
-
-  /**
-   * Updates data-cart-quantity when cart is updated from elsewhere
-   * @param {CartUpdateEvent|CartAddEvent} event
-   */
-  #onCartUpdate = async (event) => {
-    // Skip if this event came from this component
-    if (event.detail?.sourceId === this.id || event.detail?.data?.source === 'product-form-component') return;
-
-    const cart = /** @type {Cart} */ (event.detail?.resource);
-    if (cart?.items) {
-      this.#updateCartQuantityFromData(cart);
-    } else {
-      await this.#fetchAndUpdateCartQuantity();
-    }
   };
 
   /**
@@ -354,17 +327,20 @@ class ProductFormComponent extends Component {
       formData.append('sections', cartItemComponentsSectionIds.join(','));
     });
 
-    const fetchCfg = fetchConfig('javascript', { body: formData });
-
-    fetch(Theme.routes.cart_add_url, {
-      ...fetchCfg,
-      headers: {
-        ...fetchCfg.headers,
-        Accept: 'text/html',
-      },
-    })
-      .then((response) => response.json())
-      .then(async (response) => {
+    const variantId = formData.get('id');
+    const quantity = Number(formData.get('quantity')) || Number(this.dataset.quantityDefault);
+
+    cartStore
+      .mutate(
+        {
+          url: Theme.routes.cart_add_url,
+          body: formData,
+          headers: { Accept: 'text/html' },
+          sourceId: form.getAttribute('id') || this.id,
+        },
+        variantId ? [{ variantId: variantId.toString(), quantity, add: true }] : []
+      )
+      .then((response) => {
         if (response.status) {
           this.dispatchEvent(
             new CartErrorEvent(form.getAttribute('id') || '', response.message, response.description, response.errors)
@@ -399,7 +375,7 @@ class ProductFormComponent extends Component {
             new CartAddEvent({}, this.id, {
               didError: true,
               source: 'product-form-component',
-              itemCount: Number(formData.get('quantity')) || Number(this.dataset.quantityDefault),
+              itemCount: quantity,
               productId: this.dataset.productId,
             })
           );
@@ -429,13 +405,10 @@ class ProductFormComponent extends Component {
             }, SUCCESS_MESSAGE_DISPLAY_DURATION);
           }
 
-          // Fetch the updated cart to get the actual total quantity for this variant
-          await this.#fetchAndUpdateCartQuantity();
-
           this.dispatchEvent(
             new CartAddEvent({}, id.toString(), {
               source: 'product-form-component',
-              itemCount: Number(formData.get('quantity')) || Number(this.dataset.quantityDefault),
+              itemCount: quantity,
               productId: this.dataset.productId,
               sections: response.sections,
             })
@@ -443,6 +416,9 @@ class ProductFormComponent extends Component {
         }
       })
       .catch((error) => {
+        // The queue adds the item once the connection is back and reports the result
+        if (error instanceof CartQueueDeferredError) return;
+
         console.error(error);
       })
       .finally(() => {
@@ -510,6 +486,23 @@ class ProductFormComponent extends Component {
 
     // Update the variant ID
     variantId.value = event.detail.resource?.id ?? '';
+
+    // Sold out variants can be signed up for instead
+    this.refs.backInStock?.update(event.detail.resource);
+
+    // Pre-orders depend on the release date of the product and the availability of the variant
+    const { preorderProperty, preorderNotice, productFormButtons: currentProductFormButtons } = this.refs;
+    this.#morphOrUpdateElement(
+      preorderProperty,
+      event.detail.data.html.querySelector('product-form-component [ref="preorderProperty"]'),
+      variantId
+    );
+    this.#morphOrUpdateElement(
+      preorderNotice,
+      event.detail.data.html.querySelector('product-form-component [ref="preorderNotice"]'),
+      currentProductFormButtons ?? null
+    );
+
     const { addToCartButtonContainer: currentAddToCartButtonContainer, acceleratedCheckoutButtonContainer } = this.refs;
     const currentAddToCartButton = currentAddToCartButtonContainer?.refs.addToCartButton;
 
@@ -621,8 +614,9 @@ class ProductFormComponent extends Component {
 
     if (!hasB2BFeatures) return;
 
-    // Fetch and update cart quantity for the new variant
-    await this.#fetchAndUpdateCartQuantity();
+    // Update cart quantity for the new variant
+    await cartStore.ready;
+    this.#updateCartQuantity();
   };
 
   /**
@@ -0,0 +1,150 @@
+import { Component } from '@theme/component';
+import { ThemeEvents, VariantSelectedEvent } from '@theme/events';
+import { AddToCartComponent } from '@theme/product-form';
+
+/**
+ * A custom element that shows the details of a product in the list view of the product grid.
+ * The variant of its compact picker and the swatches of the product card are kept in sync.
+ *
+ * @typedef {object} ProductListDetailsRefs
+ * @property {HTMLElement} skuContainer - The SKU, with its label.
+ * @property {HTMLElement} sku - The SKU of the selected variant.
+ * @property {HTMLElement} inventory - The inventory status of the selected variant.
+ *
+ * @extends {Component<ProductListDetailsRefs>}
+ */
+class ProductListDetailsComponent extends Component {
+  requiredRefs = ['skuContainer', 'sku', 'inventory'];
+
+  /** @type {AbortController | undefined} */
+  #abortController;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    // The product card is a sibling of the details, in the same grid item
+    this.#abortController = new AbortController();
+    this.parentElement?.addEventListener(ThemeEvents.variantSelected, this.#handleVariantSelected, {
+      signal: this.#abortController.signal,
+    });
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#abortController?.abort();
+  }
+
+  /**
+   * Shows the details of the variant picked, and selects its option values on the product card swatches.
+   */
+  selectVariant() {
+    const option = this.#selectedOption;
+    if (!option) return;
+
+    this.#renderVariant(option);
+
+    const productCard = this.#productCard;
+    if (!productCard) return;
+
+    for (const optionValueId of this.#getOptionValueIds(option)) {
+      // Swatches are only shown for some of the options
+      if (!productCard.querySelector(`[data-option-value-id="${optionValueId}"]`)) continue;
+
+      productCard.dispatchEvent(new VariantSelectedEvent({ id: optionValueId }));
+    }
+  }
+
+  /**
+   * Picks the variant of the swatch selected on the product card, keeping the other option values when possible.
+   * @param {Event} event - The variant selected event.
+   */
+  #handleVariantSelected = (event) => {
+    // Skip the events dispatched by this component
+    if (event.target === this.#productCard || !(event.target instanceof Node) || this.contains(event.target)) return;
+
+    const select = this.#variantSelect;
+    const selectedOption = this.#selectedOption;
+    if (!select || !selectedOption) return;
+
+    const optionValueId = /** @type {VariantSelectedEvent} */ (event).detail.resource.id;
+    const selectedValueIds = this.#getOptionValueIds(selectedOption);
+
+    /** @type {HTMLOptionElement | undefined} */
+    let closestOption;
+    let closestScore = -1;
+
+    for (const option of select.options) {
+      const valueIds = this.#getOptionValueIds(option);
+      if (!valueIds.includes(optionValueId)) continue;
+
+      // Shared option values matter most, then availability
+      const sharedValues = valueIds.filter((id) => selectedValueIds.includes(id)).length;
+      const score = sharedValues * 2 + (option.dataset.available === 'true' ? 1 : 0);
+
+      if (score > closestScore) {
+        closestOption = option;
+        closestScore = score;
+      }
+    }
+
+    if (!closestOption || closestOption === selectedOption) return;
+
+    select.value = closestOption.value;
+    this.#renderVariant(closestOption);
+  };
+
+  /**
+   * @param {HTMLOptionElement} option - The option of the variant.
+   */
+  #renderVariant(option) {
+    const { skuContainer, sku, inventory } = this.refs;
+    const { sku: variantSku = '', inventory: status = '', inventoryText = '', available } = option.dataset;
+
+    sku.textContent = variantSku;
+    skuContainer.hidden = variantSku === '';
+
+    inventory.textContent = inventoryText;
+    inventory.dataset.status = status;
+
+    const addToCart = this.querySelector('add-to-cart-component');
+    if (!(addToCart instanceof AddToCartComponent)) return;
+
+    if (available === 'true') {
+      addToCart.enable();
+    } else {
+      addToCart.disable();
+    }
+  }
+
+  /**
+   * @param {HTMLOptionElement} option - The option of a variant.
+   * @returns {string[]} The IDs of the option values of the variant.
+   */
+  #getOptionValueIds(option) {
+    return option.dataset.optionValueIds?.split(',').filter(Boolean) ?? [];
+  }
+
+  /** @returns {HTMLSelectElement | null} */
+  get #variantSelect() {
+    const select = this.querySelector('select[name="id"]');
+
+    return select instanceof HTMLSelectElement ? select : null;
+  }
+
+  /** @returns {HTMLOptionElement | null} */
+  get #selectedOption() {
+    return this.#variantSelect?.selectedOptions[0] ?? null;
+  }
+
+  /** @returns {HTMLElement | null} */
+  get #productCard() {
+    const productCard = this.parentElement?.querySelector('product-card');
+
+    return productCard instanceof HTMLElement ? productCard : null;
+  }
+}
+
+if (!customElements.get('product-list-details-component')) {
+  customElements.define('product-list-details-component', ProductListDetailsComponent);
+}
@@ -1,6 +1,9 @@
 import { Component } from '@theme/component';
 import { ThemeEvents, VariantUpdateEvent } from '@theme/events';
 
+// The elements the variant updates of the SKU are dispatched on
+const VARIANT_UPDATE_TARGET = '[id*="ProductInformation-"], [id*="QuickAdd-"], product-card, ecomx-quick-view dialog';
+
 /**
  * A custom element that displays a product SKU.
  * This component listens for variant update events and updates the SKU display accordingly.
@@ -19,14 +22,14 @@ class ProductSkuComponent extends Component {
 
   connectedCallback() {
     super.connectedCallback();
-    const target = this.closest('[id*="ProductInformation-"], [id*="QuickAdd-"], product-card');
+    const target = this.closest(VARIANT_UPDATE_TARGET);
     if (!target) return;
     target.addEventListener(ThemeEvents.variantUpdate, this.updateSku);
   }
 
   disconnectedCallback() {
     super.disconnectedCallback();
-    const target = this.closest('[id*="ProductInformation-"], [id*="QuickAdd-"], product-card');
+    const target = this.closest(VARIANT_UPDATE_TARGET);
     if (!target) return;
     target.removeEventListener(ThemeEvents.variantUpdate, this.updateSku);
   }
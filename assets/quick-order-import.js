@@ -0,0 +1,339 @@
+import { Component } from '@theme/component';
+import { CartQueueDeferredError } from '@theme/cart-queue';
+import { cartStore } from '@theme/cart-store';
+import { CartAddEvent } from '@theme/events';
+
+/**
+ * @typedef {object} ImportVariant
+ * @property {number} id - The variant id.
+ * @property {string | null} sku - The variant SKU.
+ * @property {string} title - The variant title.
+ */
+
+/**
+ * @typedef {object} ImportRow
+ * @property {number} line - The line of the row in the text imported.
+ * @property {string} identifier - The SKU or variant id of the row.
+ * @property {ImportVariant} [variant] - The variant matched.
+ * @property {number} [quantity] - The quantity of the row, when it's valid.
+ * @property {string} [error] - Why the row can't be applied.
+ */
+
+/**
+ * The characters spreadsheets start formulas with.
+ * @type {RegExp}
+ */
+const FORMULA_PREFIX = /^[=+\-@]/;
+
+/**
+ * Imports rows of "SKU, quantity" or "variant ID, quantity" into the quick order list, pasted or uploaded as CSV.
+ * The rows are previewed against the variants of the product, and the quantities applied to the cart at once.
+ * The list can also be exported as CSV, with the quantities in the cart.
+ *
+ * @typedef {object} QuickOrderImportRefs
+ * @property {HTMLScriptElement} variants - The variants of the product, as JSON.
+ * @property {HTMLTextAreaElement} input - The rows to import.
+ * @property {HTMLElement} preview - The preview of the rows.
+ * @property {HTMLTableSectionElement} previewRows - The rows of the preview table.
+ * @property {HTMLButtonElement} applyButton - Applies the quantities matched to the cart.
+ * @property {HTMLElement} status - The summary of the rows, and the result of the update.
+ *
+ * @extends {Component<QuickOrderImportRefs>}
+ */
+class QuickOrderImportComponent extends Component {
+  requiredRefs = ['variants', 'input', 'preview', 'previewRows', 'applyButton', 'status'];
+
+  /** @type {ImportRow[]} */
+  #rows = [];
+
+  /**
+   * Parses the rows entered, and previews the variants they match.
+   */
+  preview() {
+    const { preview, previewRows, applyButton, status } = this.refs;
+
+    this.#rows = this.#resolveRows(parseCSV(this.refs.input.value));
+
+    previewRows.replaceChildren(...this.#rows.map((row) => this.#renderRow(row)));
+    preview.hidden = this.#rows.length === 0;
+
+    const matched = this.#updates.size;
+    const errors = this.#rows.filter((row) => row.error).length;
+
+    applyButton.disabled = matched === 0;
+    status.textContent =
+      this.#rows.length > 0
+        ? (this.dataset.summary ?? '').replace('[matched]', String(matched)).replace('[errors]', String(errors))
+        : '';
+  }
+
+  /**
+   * Reads the CSV file picked into the rows to import.
+   * @param {Event} event - The change event of the file input.
+   */
+  async readFile(event) {
+    const input = event.target;
+    if (!(input instanceof HTMLInputElement)) return;
+
+    const file = input.files?.[0];
+    if (!file) return;
+
+    this.refs.input.value = await file.text();
+    // Picking the same file again re-imports it
+    input.value = '';
+
+    this.preview();
+  }
+
+  /**
+   * Sets the cart quantities of every variant matched, in a single update.
+   */
+  async apply() {
+    const { applyButton, status } = this.refs;
+    const updates = this.#updates;
+
+    if (updates.size === 0) return;
+
+    const list = this.closest('quick-order-list-component');
+    const sectionIds = [
+      this.dataset.sectionId,
+      ...[...document.querySelectorAll('cart-items-component')].map((element) =>
+        element instanceof HTMLElement ? element.dataset.sectionId : undefined
+      ),
+    ].filter(Boolean);
+
+    // Keep the page of the list displayed
+    const sectionsUrl = new URL(window.location.pathname, window.location.origin);
+    if (list && 'currentPage' in list) sectionsUrl.searchParams.set('page', String(list.currentPage));
+
+    applyButton.disabled = true;
+
+    try {
+      const data = await cartStore.mutate(
+        {
+          url: Theme.routes.cart_update_url,
+          body: {
+            updates: Object.fromEntries(updates),
+            sections: [...new Set(sectionIds)].join(','),
+            sections_url: sectionsUrl.pathname + sectionsUrl.search,
+          },
+          sourceId: this.id,
+        },
+        [...updates].map(([variantId, quantity]) => ({ variantId, quantity }))
+      );
+
+      if (data.errors) {
+        status.textContent = data.errors;
+        applyButton.disabled = false;
+        return;
+      }
+
+      this.refs.input.value = '';
+      this.preview();
+      status.textContent = this.dataset.applied ?? '';
+
+      document.dispatchEvent(
+        new CartAddEvent(data, this.id, {
+          source: 'quick-order-import',
+          sections: data.sections,
+        })
+      );
+    } catch (error) {
+      applyButton.disabled = false;
+
+      // The queue sends the change once the connection is back and reports the result
+      if (error instanceof CartQueueDeferredError) return;
+
+      console.error('Quick order import error:', error);
+      status.textContent = this.dataset.errorUpdate ?? '';
+    }
+  }
+
+  /**
+   * Downloads the variants of the list as CSV, with their quantities in the cart.
+   */
+  async exportCSV() {
+    if (!cartStore.cart) await cartStore.refresh();
+
+    const { headerSku = '', headerVariantId = '', headerVariant = '', headerQuantity = '' } = this.dataset;
+    const rows = [
+      [headerSku, headerVariantId, headerVariant, headerQuantity],
+      ...this.#variants.map(({ id, sku, title }) => [sku ?? '', id, title, cartStore.getVariantQuantity(id)]),
+    ];
+    const csv = rows.map((row) => row.map(formatCSVCell).join(',')).join('\r\n');
+
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+    link.download = this.dataset.filename ?? 'quick-order.csv';
+    link.click();
+
+    // Some browsers cancel the download when the URL is revoked right away
+    setTimeout(() => URL.revokeObjectURL(link.href));
+  }
+
+  /**
+   * @returns {ImportVariant[]} The variants of the product.
+   */
+  get #variants() {
+    return JSON.parse(this.refs.variants.textContent || '[]');
+  }
+
+  /**
+   * @returns {Map<number, number>} The quantity of every variant matched, with duplicate rows summed up.
+   */
+  get #updates() {
+    /** @type {Map<number, number>} */
+    const updates = new Map();
+
+    for (const { variant, quantity, error } of this.#rows) {
+      if (error || !variant || quantity === undefined) continue;
+
+      updates.set(variant.id, (updates.get(variant.id) ?? 0) + quantity);
+    }
+
+    return updates;
+  }
+
+  /**
+   * Matches the rows parsed with the variants of the product.
+   * The quantity is the last cell of a row, and the variant the first other cell matching a variant id or SKU.
+   * @param {{ line: number, cells: string[] }[]} rows - The rows parsed.
+   * @returns {ImportRow[]} The rows matched.
+   */
+  #resolveRows(rows) {
+    const variants = this.#variants;
+    const variantsById = new Map(variants.map((variant) => [String(variant.id), variant]));
+    const variantsBySku = new Map(
+      variants.filter((variant) => variant.sku).map((variant) => [String(variant.sku).toLowerCase(), variant])
+    );
+
+    /** @type {ImportRow[]} */
+    const resolved = [];
+
+    for (const [index, { line, cells }] of rows.entries()) {
+      const quantityCell = cells[cells.length - 1] ?? '';
+      const identifiers = cells.slice(0, -1).filter(Boolean);
+      const identifier = identifiers[0] ?? cells[0] ?? '';
+      const variant = identifiers
+        .map((cell) => variantsById.get(cell) ?? variantsBySku.get(cell.toLowerCase()))
+        .find(Boolean);
+      const isQuantity = /^\d+$/.test(quantityCell);
+
+      // A header row, such as the one of the export
+      if (index === 0 && !variant && !isQuantity) continue;
+
+      if (!variant) {
+        const error = (this.dataset.errorNotFound ?? '').replace('[identifier]', identifier);
+        resolved.push({ line, identifier, error });
+      } else if (!isQuantity) {
+        resolved.push({ line, identifier, variant, error: this.dataset.errorQuantity ?? '' });
+      } else {
+        resolved.push({ line, identifier, variant, quantity: Number(quantityCell) });
+      }
+    }
+
+    return resolved;
+  }
+
+  /**
+   * @param {ImportRow} row - The row to preview.
+   * @returns {HTMLTableRowElement} The row of the preview table.
+   */
+  #renderRow({ line, identifier, variant, quantity, error }) {
+    const tableRow = document.createElement('tr');
+    const cells = [String(line), variant?.title ?? identifier, error ?? String(quantity)];
+
+    if (error) tableRow.dataset.error = '';
+
+    for (const text of cells) {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      tableRow.append(cell);
+    }
+
+    return tableRow;
+  }
+}
+
+if (!customElements.get('quick-order-import-component')) {
+  customElements.define('quick-order-import-component', QuickOrderImportComponent);
+}
+
+/**
+ * Parses CSV text, delimited by commas, semicolons or tabs, into its non-empty rows.
+ * @param {string} text - The CSV text.
+ * @returns {{ line: number, cells: string[] }[]} The cells of every row, with the line they start on.
+ */
+function parseCSV(text) {
+  const firstLine = text.trimStart().split(/\r?\n/, 1)[0] ?? '';
+  const delimiter = firstLine.includes('\t') ? '\t' : firstLine.includes(';') && !firstLine.includes(',') ? ';' : ',';
+
+  /** @type {{ line: number, cells: string[] }[]} */
+  const rows = [];
+  /** @type {string[]} */
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  // Drops the quote the export prefixes formulas with
+  const readCell = () => {
+    const text = cell.trim();
+    return text.startsWith("'") && FORMULA_PREFIX.test(text.slice(1)) ? text.slice(1) : text;
+  };
+
+  const endRow = () => {
+    cells.push(readCell());
+    if (cells.some(Boolean)) rows.push({ line: rowLine, cells });
+    cells = [];
+    cell = '';
+    rowLine = line;
+  };
+
+  for (let index = 0; index < text.length; index++) {
+    const character = text[index];
+
+    if (quoted) {
+      if (character === '"' && text[index + 1] === '"') {
+        cell += '"';
+        index++;
+      } else if (character === '"') {
+        quoted = false;
+      } else {
+        if (character === '\n') line++;
+        cell += character;
+      }
+    } else if (character === '"' && cell.trim() === '') {
+      cell = '';
+      quoted = true;
+    } else if (character === delimiter) {
+      cells.push(readCell());
+      cell = '';
+    } else if (character === '\n') {
+      line++;
+      endRow();
+    } else if (character !== '\r') {
+      cell += character;
+    }
+  }
+
+  endRow();
+
+  // Spreadsheets often end rows with empty cells
+  return rows.map((row) => {
+    while (row.cells.length > 0 && row.cells[row.cells.length - 1] === '') row.cells.pop();
+    return row;
+  });
+}
+
+/**
+ * @param {string | number} value - The value of a cell.
+ * @returns {string} The value, quoted when it contains a delimiter, a quote or a line break.
+ * Text that spreadsheets would run as a formula is prefixed with a quote, which `parseCSV` removes.
+ */
+function formatCSVCell(value) {
+  const text = typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : String(value);
+
+  return /[",;\t\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -1,6 +1,8 @@
 import { Component } from '@theme/component';
+import { CartQueueDeferredError } from '@theme/cart-queue';
+import { cartStore } from '@theme/cart-store';
 import { CartAddEvent, QuantitySelectorUpdateEvent, ThemeEvents } from '@theme/events';
-import { debounce, fetchConfig, resetShimmer } from '@theme/utilities';
+import { debounce, resetShimmer } from '@theme/utilities';
 import { morphSection, sectionRenderer } from '@theme/section-renderer';
 
 /**
@@ -38,6 +40,9 @@ class QuickOrderListComponent extends Component {
   /** @type {(event: Event) => void} */
   #boundHandleCartUpdate;
 
+  /** @type {(() => void) | undefined} */
+  #unsubscribe;
+
   /**
    * Gets the current page number from pagination controls
    * @returns {number}
@@ -73,6 +78,7 @@ class QuickOrderListComponent extends Component {
     document.addEventListener(ThemeEvents.cartUpdate, this.#boundHandleCartUpdate);
     this.addEventListener('keydown', this.#handleKeyDown, true);
     this.addEventListener('keyup', this.#handleKeyup, true);
+    this.#unsubscribe = cartStore.subscribe(this.#onCartChange);
   }
 
   disconnectedCallback() {
@@ -82,6 +88,7 @@ class QuickOrderListComponent extends Component {
     document.removeEventListener(ThemeEvents.cartUpdate, this.#boundHandleCartUpdate);
     this.removeEventListener('keydown', this.#handleKeyDown, true);
     this.removeEventListener('keyup', this.#handleKeyup, true);
+    this.#unsubscribe?.();
 
     this.#abortController?.abort();
   }
@@ -206,9 +213,6 @@ class QuickOrderListComponent extends Component {
     this.#clearErrorMessage();
     this.#applyShimmerEffects(idsToRemove);
 
-    this.#abortController?.abort();
-    this.#abortController = new AbortController();
-
     try {
       /** @type {Record<string, number>} */
       const updates = {};
@@ -228,19 +232,18 @@ class QuickOrderListComponent extends Component {
       const sectionsUrl = new URL(window.location.pathname, window.location.origin);
       sectionsUrl.searchParams.set('page', this.currentPage.toString());
 
-      const body = JSON.stringify({
-        updates: updates,
-        sections: sectionIds.join(','),
-        sections_url: sectionsUrl.pathname + sectionsUrl.search,
-      });
-
-      const response = await fetch(Theme.routes.cart_update_url, {
-        ...fetchConfig('json', { body }),
-        signal: this.#abortController.signal,
-      });
-
-      const responseText = await response.text();
-      const data = JSON.parse(responseText);
+      const data = await cartStore.mutate(
+        {
+          url: Theme.routes.cart_update_url,
+          body: {
+            updates: updates,
+            sections: sectionIds.join(','),
+            sections_url: sectionsUrl.pathname + sectionsUrl.search,
+          },
+          sourceId: this.id,
+        },
+        idsToRemove.map((variantId) => ({ variantId, quantity: 0 }))
+      );
 
       resetShimmer(this);
 
@@ -258,10 +261,10 @@ class QuickOrderListComponent extends Component {
         );
       }
     } catch (error) {
-      if (error.name !== 'AbortError') {
-        resetShimmer(this);
-        throw error;
-      }
+      resetShimmer(this);
+
+      // The queue sends the change once the connection is back and reports the result
+      if (!(error instanceof CartQueueDeferredError)) throw error;
     }
   }
 
@@ -301,8 +304,6 @@ class QuickOrderListComponent extends Component {
     this.#applyShimmerEffects([variantId]);
 
     this.#disableQuickOrderListItems();
-    this.#abortController?.abort();
-    this.#abortController = new AbortController();
 
     try {
       /** @type {Record<string, number>} */
@@ -313,19 +314,20 @@ class QuickOrderListComponent extends Component {
       const sectionsUrl = new URL(window.location.pathname, window.location.origin);
       sectionsUrl.searchParams.set('page', this.currentPage.toString());
 
-      const body = JSON.stringify({
-        updates: updates,
-        sections: this.#getSectionIds().join(','),
-        sections_url: sectionsUrl.pathname + sectionsUrl.search,
-      });
-
-      const response = await fetch(Theme.routes.cart_update_url, {
-        ...fetchConfig('json', { body }),
-        signal: this.#abortController.signal,
-      });
-
-      const responseText = await response.text();
-      const data = JSON.parse(responseText);
+      // Rapid edits of the same variant coalesce, so only the latest quantity is sent
+      const data = await cartStore.mutate(
+        {
+          url: Theme.routes.cart_update_url,
+          body: {
+            updates: updates,
+            sections: this.#getSectionIds().join(','),
+            sections_url: sectionsUrl.pathname + sectionsUrl.search,
+          },
+          key: `variant:${variantId}`,
+          sourceId: this.id,
+        },
+        [{ variantId, quantity }]
+      );
 
       resetShimmer(this);
 
@@ -353,11 +355,11 @@ class QuickOrderListComponent extends Component {
         );
       }
     } catch (error) {
-      if (error.name !== 'AbortError') {
-        this.#enableQuickOrderListItems();
-        resetShimmer(this);
-        throw error;
-      }
+      this.#enableQuickOrderListItems();
+      resetShimmer(this);
+
+      // The queue sends the change once the connection is back and reports the result
+      if (!(error instanceof CartQueueDeferredError)) throw error;
     }
   }
 
@@ -394,6 +396,23 @@ class QuickOrderListComponent extends Component {
     }
   }
 
+  /**
+   * Keeps the variants to remove with "Remove all" in sync with the cart.
+   * @param {import('./cart-store').Cart} cart - The cart.
+   * @param {import('./cart-store').CartStoreChange} change - The reason of the change.
+   */
+  #onCartChange = (cart, change) => {
+    // Optimistic lines don't know their product yet
+    if (change.reason !== 'server') return;
+
+    const productId = Number(this.dataset.productId);
+    const variantIds = cart.items
+      .filter((item) => item.product_id === productId)
+      .map((item) => item.variant_id);
+
+    this.dataset.cartVariantIds = JSON.stringify([...new Set(variantIds)]);
+  };
+
   #disableQuickOrderListItems() {
     this.classList.add('quick-order-list-disabled');
   }
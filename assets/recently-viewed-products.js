@@ -1,35 +1,143 @@
+import { ThemeEvents } from '@theme/events';
+import { tabSync } from '@theme/tab-sync';
+
+/**
+ * @typedef {object} RecentlyViewedProduct
+ * @property {string} productId - The product id.
+ * @property {string | null} variantId - The last variant viewed, if known.
+ * @property {number} viewedAt - When the product was last viewed, in milliseconds since the epoch.
+ */
+
+/**
+ * @typedef {object} RecentlyViewedQuery
+ * @property {string | string[]} [exclude] - Product ids to leave out, e.g. the product of the current page.
+ * @property {number} [limit] - The maximum number of products to return.
+ */
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
 /**
  * Updates the recently viewed products in localStorage.
+ * The history size and how long products are kept come from the `recently_viewed_max_products` and
+ * `recently_viewed_ttl_days` theme settings.
+ * Changes are announced to the other tabs with the `recently-viewed` tab sync message.
  */
 export class RecentlyViewed {
-  /** @static @constant {string} The key used to store the viewed products in session storage */
+  /** @static @constant {string} The key used to store the viewed products in local storage */
   static #STORAGE_KEY = 'viewedProducts';
-  /** @static @constant {number} The maximum number of products to store */
-  static #MAX_PRODUCTS = 4;
+  /** @static @constant {number} The maximum number of products to store, when the theme doesn't configure it */
+  static #DEFAULT_MAX_PRODUCTS = 12;
+  /** @static @constant {number} The number of days products are kept, when the theme doesn't configure it */
+  static #DEFAULT_TTL_DAYS = 30;
 
   /**
    * Adds a product to the recently viewed products list.
    * @param {string} productId - The ID of the product to add.
+   * @param {string | null} [variantId] - The ID of the variant viewed.
    */
-  static addProduct(productId) {
-    let viewedProducts = this.getProducts();
+  static addProduct(productId, variantId = null) {
+    const history = this.getHistory().filter((entry) => entry.productId !== productId);
 
-    viewedProducts = viewedProducts.filter((/** @type {string} */ id) => id !== productId);
-    viewedProducts.unshift(productId);
-    viewedProducts = viewedProducts.slice(0, this.#MAX_PRODUCTS);
+    history.unshift({ productId, variantId, viewedAt: Date.now() });
 
-    localStorage.setItem(this.#STORAGE_KEY, JSON.stringify(viewedProducts));
+    this.#save(history.slice(0, this.#maxProducts));
+  }
+
+  /**
+   * Records the product of the current page, and the variants selected on it.
+   * @param {string} productId - The ID of the product.
+   * @param {string | null} [variantId] - The ID of the variant initially selected.
+   */
+  static trackProduct(productId, variantId = null) {
+    let currentProductId = productId;
+
+    this.addProduct(productId, variantId);
+
+    document.addEventListener(ThemeEvents.variantUpdate, (event) => {
+      // Skip quick add modals, which show other products
+      if (event.target instanceof Element && event.target.closest('dialog')) return;
+
+      const { resource, data } = /** @type {import('./events').VariantUpdateEvent} */ (event).detail;
+      if (!resource || data.productId !== currentProductId) return;
+
+      // Combined listings load another product in place of the current one
+      if (data.newProduct) currentProductId = data.newProduct.id;
+
+      this.addProduct(currentProductId, String(resource.id));
+    });
   }
 
   static clearProducts() {
     localStorage.removeItem(this.#STORAGE_KEY);
+    tabSync.publish('recently-viewed');
   }
 
   /**
-   * Retrieves the list of recently viewed products from session storage.
-   * @returns {string[]} The list of viewed products.
+   * Retrieves the recently viewed products, most recent first. Expired products are left out.
+   * @param {RecentlyViewedQuery} [query] - Filters the products.
+   * @returns {RecentlyViewedProduct[]} The viewed products.
    */
-  static getProducts() {
-    return JSON.parse(localStorage.getItem(this.#STORAGE_KEY) || '[]');
+  static getHistory({ exclude = [], limit = Infinity } = {}) {
+    const excluded = new Set([exclude].flat().map(String));
+    const expiry = Date.now() - this.#ttlDays * DAY_IN_MS;
+
+    return this.#read()
+      .filter((entry) => entry.viewedAt > expiry && !excluded.has(entry.productId))
+      .slice(0, limit);
+  }
+
+  /**
+   * Retrieves the IDs of the recently viewed products, most recent first.
+   * @param {RecentlyViewedQuery} [query] - Filters the products.
+   * @returns {string[]} The IDs of the viewed products.
+   */
+  static getProducts(query) {
+    return this.getHistory(query).map((entry) => entry.productId);
+  }
+
+  /**
+   * Gets the last variant viewed of a product.
+   * @param {string} productId - The ID of the product.
+   * @returns {string | null} The ID of the variant, or `null` if it isn't known.
+   */
+  static getVariant(productId) {
+    return this.getHistory().find((entry) => entry.productId === productId)?.variantId ?? null;
+  }
+
+  /**
+   * @returns {RecentlyViewedProduct[]}
+   */
+  static #read() {
+    const stored = JSON.parse(localStorage.getItem(this.#STORAGE_KEY) || '[]');
+    if (!Array.isArray(stored)) return [];
+
+    // Older versions only stored the product IDs. They're migrated once, so they expire from the time of the migration
+    if (stored.some((entry) => typeof entry === 'string')) {
+      const viewedAt = Date.now();
+      const history = stored.map((entry) =>
+        typeof entry === 'string' ? { productId: entry, variantId: null, viewedAt } : entry
+      );
+
+      localStorage.setItem(this.#STORAGE_KEY, JSON.stringify(history));
+      return history;
+    }
+
+    return stored;
+  }
+
+  /**
+   * @param {RecentlyViewedProduct[]} history - The products to store.
+   */
+  static #save(history) {
+    localStorage.setItem(this.#STORAGE_KEY, JSON.stringify(history));
+    tabSync.publish('recently-viewed');
+  }
+
+  static get #maxProducts() {
+    return Theme.settings.recently_viewed_max_products || this.#DEFAULT_MAX_PRODUCTS;
+  }
+
+  static get #ttlDays() {
+    return Theme.settings.recently_viewed_ttl_days || this.#DEFAULT_TTL_DAYS;
   }
 }
@@ -0,0 +1,141 @@
+import { Component } from '@theme/component';
+import { morph } from '@theme/morph';
+import { RecentlyViewed } from '@theme/recently-viewed-products';
+import { sectionRenderer } from '@theme/section-renderer';
+import { tabSync } from '@theme/tab-sync';
+
+/**
+ * A custom element that displays the recently viewed products.
+ * The section is rendered empty, and filled in with the products of the history once it's near the viewport.
+ * The product cards link to the variant that was last viewed.
+ */
+class RecentlyViewedComponent extends Component {
+  /**
+   * Loads the products once the section is about to be visible
+   * @type {IntersectionObserver}
+   */
+  #intersectionObserver = new IntersectionObserver(
+    (entries, observer) => {
+      if (!entries[0]?.isIntersecting) return;
+
+      observer.disconnect();
+      this.#loaded = true;
+      this.#loadProducts();
+    },
+    { rootMargin: '0px 0px 400px 0px' }
+  );
+
+  /** @type {boolean} */
+  #loaded = false;
+
+  /** @type {(() => void) | undefined} */
+  #unsubscribe;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    // Nothing to show, skip the request
+    if (!this.#hasHistory && !Shopify.designMode) {
+      this.#loaded = true;
+      this.classList.add('hidden');
+    } else {
+      this.#intersectionObserver.observe(this);
+    }
+
+    this.#unsubscribe = tabSync.subscribe('recently-viewed', this.#handleHistoryChange);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#intersectionObserver.disconnect();
+    this.#unsubscribe?.();
+  }
+
+  #handleHistoryChange = () => {
+    if (this.#loaded) this.#loadProducts();
+  };
+
+  /**
+   * The products to show, most recent first.
+   * @returns {import('./recently-viewed-products').RecentlyViewedProduct[]}
+   */
+  get #history() {
+    const { excludeProductId, maxProducts } = this.dataset;
+
+    return RecentlyViewed.getHistory({
+      exclude: excludeProductId ?? [],
+      limit: Number(maxProducts) || undefined,
+    });
+  }
+
+  /** @returns {boolean} */
+  get #hasHistory() {
+    return this.#history.length > 0;
+  }
+
+  async #loadProducts() {
+    try {
+      const history = this.#history;
+
+      // Keep the onboarding placeholders in the theme editor
+      if (history.length === 0 && Shopify.designMode) return;
+
+      if (history.length === 0) {
+        this.#render(null);
+        return;
+      }
+
+      const { sectionId } = this.dataset;
+      if (!sectionId || !this.id) throw new Error('A section ID and an ID attribute are required');
+
+      const url = new URL(Theme.routes.search_url, location.origin);
+      url.searchParams.set('q', history.map((entry) => `id:${entry.productId}`).join(' OR '));
+      url.searchParams.set('resources[type]', 'product');
+
+      const html = await sectionRenderer.getSectionHTML(sectionId, true, url);
+      const recentlyViewed = new DOMParser()
+        .parseFromString(html, 'text/html')
+        .querySelector(`recently-viewed[id="${this.id}"]`);
+
+      this.#render(recentlyViewed);
+      this.#linkViewedVariants(history);
+    } catch (error) {
+      console.error('Recently viewed products error:', error);
+      this.#render(null);
+    }
+  }
+
+  /**
+   * @param {Element | null} recentlyViewed - The rendered section, or `null` to hide it.
+   */
+  #render(recentlyViewed) {
+    const hasProducts = Boolean(recentlyViewed?.querySelector('.resource-list__item'));
+
+    if (recentlyViewed && hasProducts) morph(this, recentlyViewed);
+    this.classList.toggle('hidden', !hasProducts);
+  }
+
+  /**
+   * Points the product cards to the variant that was last viewed.
+   * @param {import('./recently-viewed-products').RecentlyViewedProduct[]} history - The viewed products.
+   */
+  #linkViewedVariants(history) {
+    for (const { productId, variantId } of history) {
+      if (!variantId) continue;
+
+      for (const card of this.querySelectorAll(`product-card[data-product-id="${productId}"]`)) {
+        const link = card.querySelector('a[ref="productCardLink"]');
+        if (!(link instanceof HTMLAnchorElement) || !link.href) continue;
+
+        const url = new URL(link.href);
+        url.searchParams.set('variant', variantId);
+        link.href = url.toString();
+      }
+    }
+  }
+}
+
+if (!customElements.get('recently-viewed')) {
+  customElements.define('recently-viewed', RecentlyViewedComponent);
+}
@@ -1,13 +1,24 @@
 import { mediaQueryLarge, requestIdleCallback, startViewTransition } from '@theme/utilities';
 import PaginatedList from '@theme/paginated-list';
+import { sectionRenderer } from '@theme/section-renderer';
 
 /**
- * A custom element that renders a pagniated results list
+ * The views of the grid shown on both viewports, so the preference applies to both.
+ * @type {string[]}
+ */
+const SHARED_LAYOUTS = ['list'];
+
+/**
+ * A custom element that renders a pagniated results list.
+ * The grid view chosen is remembered per viewport, across sessions.
  */
 export default class ResultsList extends PaginatedList {
   connectedCallback() {
     super.connectedCallback();
 
+    // The grid's inline script doesn't run when the section is rendered again, so the stored view is applied here too
+    this.#restoreLayout(mediaQueryLarge.matches);
+
     mediaQueryLarge.addEventListener('change', this.#handleMediaQueryChange);
     this.setAttribute('initialized', '');
   }
@@ -16,6 +27,16 @@ export default class ResultsList extends PaginatedList {
     mediaQueryLarge.removeEventListener('change', this.#handleMediaQueryChange);
   }
 
+  /**
+   * Renders the results for the current URL, e.g. after the search page input changed the query.
+   * There is no view transition, so the page keeps responding while the user types.
+   *
+   * @returns {Promise<string>} The rendered section HTML.
+   */
+  renderSearchResults() {
+    return sectionRenderer.renderSection(this.sectionId);
+  }
+
   /**
    * Updates the layout.
    *
@@ -41,7 +62,9 @@ export default class ResultsList extends PaginatedList {
 
     requestIdleCallback(() => {
       const viewport = mediaQueryLarge.matches ? 'desktop' : 'mobile';
-      sessionStorage.setItem(`product-grid-view-${viewport}`, value);
+      const viewports = SHARED_LAYOUTS.includes(value) ? ['mobile', 'desktop'] : [viewport];
+
+      for (const storedViewport of viewports) localStorage.setItem(`product-grid-view-${storedViewport}`, value);
     });
   };
 
@@ -56,12 +79,35 @@ export default class ResultsList extends PaginatedList {
     grid.setAttribute('product-grid-view', value);
   }
 
+  /**
+   * Applies the view stored for a viewport, without a transition, and checks its option.
+   *
+   * @param {boolean} isLarge - Whether to apply the view stored for desktop.
+   * @returns {boolean} Whether a view was stored, and the grid offers it.
+   */
+  #restoreLayout(isLarge) {
+    const storedLayout = localStorage.getItem(`product-grid-view-${isLarge ? 'desktop' : 'mobile'}`);
+    if (!storedLayout) return false;
+
+    const storedLayoutOption = this.querySelector(
+      `input[name="${isLarge ? 'grid' : 'grid-mobile'}"][value="${CSS.escape(storedLayout)}"]`
+    );
+    if (!(storedLayoutOption instanceof HTMLInputElement)) return false;
+
+    storedLayoutOption.checked = true;
+    this.#setLayout(storedLayout);
+
+    return true;
+  }
+
   /**
    * Handles the media query change event.
    *
    * @param {MediaQueryListEvent} event
    */
   #handleMediaQueryChange = (event) => {
+    if (this.#restoreLayout(event.matches)) return;
+
     const targetElement = event.matches
       ? this.querySelector('[data-grid-layout="desktop-default-option"]')
       : this.querySelector('[data-grid-layout="mobile-option"]');
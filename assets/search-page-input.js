@@ -1,8 +1,18 @@
 import { Component } from '@theme/component';
+import { FilterUpdateEvent } from '@theme/events';
+import { sectionRenderer } from '@theme/section-renderer';
 import { debounce } from '@theme/utilities';
+import ResultsList from '@theme/results-list';
+
+/**
+ * The delay before searching, while the user is typing.
+ * @type {number}
+ */
+const SEARCH_DEBOUNCE_DELAY = 300;
 
 /**
  * A custom element that allows the user to clean a search input.
+ * On the search page, the results are updated as the user types, keeping the active filters and sorting.
  *
  * @typedef {object} Refs
  * @property {HTMLInputElement} searchPageInput - The search input element.
@@ -11,6 +21,34 @@ import { debounce } from '@theme/utilities';
 class SearchPageInputComponent extends Component {
   requiredRefs = ['searchPageInput'];
 
+  /** @type {AbortController | null} */
+  #searchController = null;
+
+  /**
+   * The query of the results shown
+   * @type {string}
+   */
+  #shownQuery = this.#getSearchQuery();
+
+  /**
+   * The history entry that the queries typed since the last submit replace, until the query is submitted
+   * @type {{ url: string, state: unknown } | null}
+   */
+  #replacedEntry = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+    window.addEventListener('popstate', this.#handlePopState);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    window.removeEventListener('popstate', this.#handlePopState);
+    this.handleInput.cancel();
+    this.#searchController?.abort();
+  }
+
   /**
    * Handles the keydown event on the search input and resets the search when
    * empty and Escape is pressed.
@@ -25,6 +63,38 @@ class SearchPageInputComponent extends Component {
     }
   }, 100);
 
+  /**
+   * Searches as the user types, when the page shows the search results.
+   */
+  handleInput = debounce(() => {
+    if (!this.#hasResultsLists) return;
+
+    this.#search(false);
+  }, SEARCH_DEBOUNCE_DELAY);
+
+  /**
+   * Updates the results in place instead of reloading the page, when it shows the search results.
+   *
+   * @param {SubmitEvent} event - The submit event.
+   */
+  handleSubmit(event) {
+    if (!this.#hasResultsLists) return;
+
+    event.preventDefault();
+    this.handleInput.cancel();
+    this.#search(true);
+  }
+
+  /**
+   * Adds the typed query to the history once the user leaves the input.
+   */
+  handleBlur() {
+    if (!this.#hasResultsLists) return;
+
+    this.handleInput.cancel();
+    this.#search(true);
+  }
+
   #submitEmptySearch() {
     const searchInput = this.refs.searchPageInput;
 
@@ -33,14 +103,130 @@ class SearchPageInputComponent extends Component {
 
     if (this.#isEmptyState()) return;
 
-    searchInput.form?.submit();
+    if (this.#hasResultsLists) {
+      this.#search(true);
+    } else {
+      searchInput.form?.submit();
+    }
   }
 
-  #isEmptyState = () => {
+  /**
+   * Shows the query of the history entry, when navigating back or forward.
+   * The facets form restores the results, if the page has one.
+   */
+  #handlePopState = () => {
+    this.#replacedEntry = null;
+
+    const query = this.#getSearchQuery();
+    if (query === this.#shownQuery) return;
+
+    this.refs.searchPageInput.value = query;
+    this.#render(!document.querySelector('facets-form-component'));
+  };
+
+  /**
+   * Puts the query in the URL, and renders its results with the filters and sorting of the current URL.
+   * While the user types, the query replaces the current history entry. Submitting it adds it to the history, so
+   * going back shows the query searched before rather than every query typed in between.
+   * @param {boolean} submit - Whether the query is submitted.
+   */
+  #search(submit) {
+    const { searchPageInput } = this.refs;
+    const query = searchPageInput.value.trim();
+
+    if (query === this.#getSearchQuery()) {
+      if (submit) this.#pushReplacedEntry();
+      return;
+    }
+
+    const url = new URL(window.location.href);
+
+    if (searchPageInput.form) {
+      for (const [name, value] of new FormData(searchPageInput.form)) {
+        if (typeof value === 'string') url.searchParams.set(name, value);
+      }
+    }
+
+    url.searchParams.set('q', query);
+    url.searchParams.delete('page');
+    url.hash = '';
+
+    if (!this.#replacedEntry) this.#replacedEntry = { url: window.location.href, state: history.state };
+    history.replaceState({ urlParameters: url.searchParams.toString() }, '', url.toString());
+    if (submit) this.#pushReplacedEntry();
+
+    // Clears the pages loaded by the infinite scroll, and the filters' state, like a filter change does
+    this.dispatchEvent(new FilterUpdateEvent(url.searchParams));
+    this.#render(true);
+  }
+
+  /**
+   * Restores the entry that the typed queries replaced, and adds the current query after it.
+   */
+  #pushReplacedEntry() {
+    const replacedEntry = this.#replacedEntry;
+    if (!replacedEntry) return;
+
+    this.#replacedEntry = null;
+
+    const { href } = window.location;
+    if (href === replacedEntry.url) return;
+
+    const { state } = history;
+    history.replaceState(replacedEntry.state, '', replacedEntry.url);
+    history.pushState(state, '', href);
+  }
+
+  /**
+   * Renders the search header and, optionally, the results for the query of the current URL.
+   * A newer query aborts the rendering of the previous one.
+   * @param {boolean} renderResults - Whether to render the results.
+   */
+  async #render(renderResults) {
+    this.#searchController?.abort();
+    const controller = new AbortController();
+    this.#searchController = controller;
+    this.#shownQuery = this.#getSearchQuery();
+
+    try {
+      if (renderResults) {
+        await Promise.all(this.#resultsLists.map((resultsList) => resultsList.renderSearchResults()));
+        if (controller.signal.aborted) return;
+      }
+
+      // Updates the no results message of the search header
+      const headerSectionId = this.closest('.shopify-section')?.id;
+      if (headerSectionId) await sectionRenderer.renderSection(headerSectionId, { mode: 'hydration' });
+    } catch (error) {
+      if (!controller.signal.aborted) console.error('Search page error:', error);
+    }
+  }
+
+  /**
+   * @returns {ResultsList[]}
+   */
+  get #resultsLists() {
+    return Array.from(document.querySelectorAll('results-list')).filter(
+      (element) => element instanceof ResultsList
+    );
+  }
+
+  /** @returns {boolean} */
+  get #hasResultsLists() {
+    return this.#resultsLists.length > 0;
+  }
+
+  /**
+   * @returns {string} The search query of the current URL.
+   */
+  #getSearchQuery() {
     const url = new URL(window.location.href);
-    const queryParam = url.searchParams.get('q') ?? '';
 
-    return queryParam.trim() === '';
+    return (url.searchParams.get('q') ?? '').trim();
+  }
+
+  #isEmptyState = () => {
+    return this.#getSearchQuery() === '';
   };
 }
 
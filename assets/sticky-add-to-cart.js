@@ -1,4 +1,5 @@
 import { Component } from '@theme/component';
+import { cartStore } from '@theme/cart-store';
 import { ThemeEvents, QuantitySelectorUpdateEvent } from '@theme/events';
 import { morph } from '@theme/morph';
 import { onAnimationEnd } from '@theme/utilities';
@@ -68,6 +69,9 @@ class StickyAddToCartComponent extends Component {
   /** @type {boolean} */
   #hiddenByBottom = false;
 
+  /** @type {(() => void) | undefined} */
+  #unsubscribe;
+
   connectedCallback() {
     super.connectedCallback();
 
@@ -78,8 +82,10 @@ class StickyAddToCartComponent extends Component {
     target?.addEventListener(ThemeEvents.variantUpdate, this.#handleVariantUpdate, { signal });
     target?.addEventListener(ThemeEvents.variantSelected, this.#handleVariantSelected, { signal });
 
-    document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartAddComplete, { signal });
+    // Deferred adds are reported as pending, since the store keeps showing them
     document.addEventListener(ThemeEvents.cartError, this.#handleCartAddComplete, { signal });
+    document.addEventListener(ThemeEvents.cartPending, this.#handleCartAddComplete, { signal });
+    this.#unsubscribe = cartStore.subscribe(this.#handleCartChange);
     document.addEventListener(ThemeEvents.quantitySelectorUpdate, this.#handleQuantityUpdate, { signal });
 
     this.#getInitialQuantity();
@@ -90,6 +96,7 @@ class StickyAddToCartComponent extends Component {
     this.#buyButtonsIntersectionObserver?.disconnect();
     this.#mainBottomObserver?.disconnect();
     this.#abortController.abort();
+    this.#unsubscribe?.();
     if (this.#animationTimeout) {
       clearTimeout(this.#animationTimeout);
     }
@@ -267,11 +274,21 @@ class StickyAddToCartComponent extends Component {
     variantTitleElement.textContent = selectedOptions;
   };
 
+  /**
+   * Handles cart store changes - resets puppet flag once the server confirmed or rejected a change
+   * @param {import('./cart-store').Cart} _cart - The cart (unused)
+   * @param {import('./cart-store').CartStoreChange} change - The reason of the change
+   */
+  #handleCartChange = (_cart, change) => {
+    if (change.reason === 'server' || change.reason === 'rollback') {
+      this.#handleCartAddComplete();
+    }
+  };
+
   /**
    * Handles cart add complete (success or error) - resets puppet flag
-   * @param {CustomEvent} _event - The cart event (unused)
    */
-  #handleCartAddComplete = (_event) => {
+  #handleCartAddComplete = () => {
     // Reset the puppet flag after cart operation
     if (this.#targetAddToCartButton) {
       this.#targetAddToCartButton.dataset.puppet = 'false';
@@ -0,0 +1,189 @@
+import { cartStore } from '@theme/cart-store';
+import { CartUpdateEvent, ThemeEvents } from '@theme/events';
+import { sectionRenderer } from '@theme/section-renderer';
+import { debounce, onDocumentReady } from '@theme/utilities';
+
+/**
+ * Keeps other tabs of the store in sync, through a `BroadcastChannel`.
+ *
+ * - Cart: every local `CartUpdateEvent` is broadcast. Receiving tabs refresh the cart store, re-render their cart
+ *   sections and dispatch a `CartUpdateEvent` of their own, so components update like they do for local changes.
+ * - Localization: after the localization form changed the country or language, receiving tabs reload in the new one.
+ * - Other modules publish and subscribe to their own message types, e.g. the recently viewed products.
+ *
+ * Browsers without `BroadcastChannel` simply don't sync.
+ * @module tab-sync
+ */
+
+const CHANNEL_NAME = 'theme-tab-sync';
+const LOCALIZATION_CHANGE_KEY = 'tab-sync-localization-change';
+const CART_SOURCE = 'tab-sync';
+
+/**
+ * @typedef {object} TabSyncMessage
+ * @property {string} type - The message type.
+ * @property {any} [data] - The message data.
+ */
+
+/**
+ * @typedef {object} LocalizationMessage
+ * @property {string} country - The country ISO code.
+ * @property {string} language - The language ISO code.
+ * @property {string} root - The root URL of the language, e.g. `/fr`.
+ */
+
+class TabSync {
+  /** @type {BroadcastChannel | null} */
+  #channel = 'BroadcastChannel' in window ? new BroadcastChannel(CHANNEL_NAME) : null;
+
+  /** @type {Map<string, Set<(data: any) => void>>} */
+  #subscribers = new Map();
+
+  constructor() {
+    this.#channel?.addEventListener('message', this.#onMessage);
+
+    this.subscribe('cart', this.#syncCart);
+    this.subscribe('localization', this.#syncLocalization);
+
+    document.addEventListener(ThemeEvents.cartUpdate, this.#onCartUpdate);
+    onDocumentReady(() => this.#announceLocalizationChange());
+  }
+
+  /**
+   * Sends a message to the other tabs.
+   * @param {string} type - The message type.
+   * @param {any} [data] - The message data. It must be structured-cloneable.
+   */
+  publish(type, data) {
+    try {
+      this.#channel?.postMessage(/** @type {TabSyncMessage} */ ({ type, data }));
+    } catch (error) {
+      console.error(error);
+    }
+  }
+
+  /**
+   * Subscribes to messages from the other tabs.
+   * @param {string} type - The message type.
+   * @param {(data: any) => void} callback - Called with the message data.
+   * @returns {() => void} Unsubscribes.
+   */
+  subscribe(type, callback) {
+    let callbacks = this.#subscribers.get(type);
+    if (!callbacks) {
+      callbacks = new Set();
+      this.#subscribers.set(type, callbacks);
+    }
+
+    callbacks.add(callback);
+
+    return () => callbacks.delete(callback);
+  }
+
+  /**
+   * Marks the next page load as following a localization change, so it is announced to the other tabs once the
+   * server applied it. Call it right before submitting the localization form.
+   */
+  markLocalizationChange() {
+    sessionStorage.setItem(LOCALIZATION_CHANGE_KEY, 'true');
+  }
+
+  /**
+   * @param {MessageEvent<TabSyncMessage>} event - The message event.
+   */
+  #onMessage = (event) => {
+    const { type, data } = event.data ?? {};
+    if (typeof type !== 'string') return;
+
+    for (const callback of this.#subscribers.get(type) ?? []) {
+      callback(data);
+    }
+  };
+
+  /**
+   * Broadcasts local cart changes.
+   * @param {Event} event - The cart update event.
+   */
+  #onCartUpdate = (event) => {
+    const { data } = /** @type {CustomEvent} */ (event).detail ?? {};
+
+    // Don't echo changes that came from another tab
+    if (data?.source === CART_SOURCE) return;
+
+    this.publish('cart');
+  };
+
+  /**
+   * Re-renders the cart after another tab changed it. Debounced, since a single change can dispatch several events.
+   */
+  #syncCart = debounce(async () => {
+    const cart = await cartStore.refresh();
+    if (!cart) return;
+
+    const sectionIds = new Set();
+    for (const cartItems of document.querySelectorAll('cart-items-component')) {
+      if (cartItems instanceof HTMLElement && cartItems.dataset.sectionId) sectionIds.add(cartItems.dataset.sectionId);
+    }
+
+    /** @type {Record<string, string>} */
+    const sections = {};
+    await Promise.all(
+      Array.from(sectionIds, async (sectionId) => {
+        sections[sectionId] = await sectionRenderer.getSectionHTML(sectionId, false);
+      })
+    );
+
+    document.dispatchEvent(
+      new CartUpdateEvent(cart, CART_SOURCE, {
+        source: CART_SOURCE,
+        itemCount: cart.item_count,
+        sections,
+      })
+    );
+  }, 300);
+
+  /**
+   * Announces the localization this page was loaded in, if the previous page changed it.
+   */
+  #announceLocalizationChange() {
+    if (!sessionStorage.getItem(LOCALIZATION_CHANGE_KEY)) return;
+    sessionStorage.removeItem(LOCALIZATION_CHANGE_KEY);
+
+    this.publish('localization', /** @type {LocalizationMessage} */ (this.#currentLocalization));
+  }
+
+  /**
+   * Reloads the page in the localization another tab changed to.
+   * @param {LocalizationMessage} localization - The new localization.
+   */
+  #syncLocalization = (localization) => {
+    const current = this.#currentLocalization;
+
+    if (localization.language !== current.language && localization.root !== current.root) {
+      // The language is part of the URL, so swap the root of the current path
+      const url = new URL(window.location.href);
+      const path =
+        current.root !== '/' && url.pathname.startsWith(current.root)
+          ? url.pathname.slice(current.root.length) || '/'
+          : url.pathname;
+
+      url.pathname = localization.root === '/' ? path : `${localization.root}${path}`;
+      window.location.assign(url);
+    } else if (localization.country !== current.country) {
+      window.location.reload();
+    }
+  };
+
+  /**
+   * @returns {LocalizationMessage}
+   */
+  get #currentLocalization() {
+    return {
+      country: Theme.localization.country,
+      language: Theme.localization.language,
+      root: Theme.routes.root_url,
+    };
+  }
+}
+
+export const tabSync = new TabSync();
@@ -0,0 +1,117 @@
+import { Component } from '@theme/component';
+import { CartQueueDeferredError } from '@theme/cart-queue';
+import { cartStore } from '@theme/cart-store';
+import { CartAddEvent } from '@theme/events';
+import { formatMoney } from '@theme/money-formatting';
+
+/**
+ * A matrix of quantity inputs, one per variant, that adds every variant with a quantity to the cart at once.
+ * The total of the quantities entered is updated as they change.
+ *
+ * @typedef {object} VariantMatrixRefs
+ * @property {HTMLInputElement[]} quantityInputs - The quantity inputs of the variants that can be added.
+ * @property {HTMLElement} total - The total price of the quantities entered.
+ * @property {HTMLButtonElement} addButton - Adds the quantities entered to the cart.
+ * @property {HTMLElement} error - The error of the last add to cart.
+ * @property {HTMLElement} liveRegion - Announces the items added.
+ *
+ * @extends {Component<VariantMatrixRefs>}
+ */
+class VariantMatrixComponent extends Component {
+  requiredRefs = ['total', 'addButton', 'error', 'liveRegion'];
+
+  /**
+   * Updates the total price, keeping the quantities within the stock of their variants.
+   */
+  updateTotal() {
+    const { total, addButton } = this.refs;
+    let totalPrice = 0;
+
+    for (const { input, quantity } of this.#quantities) {
+      if (input.value !== '' && String(quantity) !== input.value) input.value = String(quantity);
+
+      totalPrice += quantity * Number(input.dataset.price);
+    }
+
+    total.textContent = formatMoney(totalPrice, this.dataset.moneyFormat ?? '{{amount}}', this.dataset.currency ?? '');
+    addButton.disabled = !this.#quantities.some(({ quantity }) => quantity > 0);
+  }
+
+  /**
+   * Adds every variant with a quantity to the cart, in a single request.
+   */
+  async addAll() {
+    const { addButton, error, liveRegion } = this.refs;
+    const items = this.#quantities
+      .filter(({ quantity }) => quantity > 0)
+      .map(({ input, quantity }) => ({ id: Number(input.dataset.variantId), quantity }));
+
+    if (items.length === 0) return;
+
+    const sectionIds = [...document.querySelectorAll('cart-items-component')]
+      .map((element) => (element instanceof HTMLElement ? element.dataset.sectionId : undefined))
+      .filter(Boolean);
+    const itemCount = items.reduce((count, item) => count + item.quantity, 0);
+
+    addButton.disabled = true;
+    error.hidden = true;
+
+    try {
+      const data = await cartStore.mutate(
+        {
+          url: Theme.routes.cart_add_url,
+          body: { items, sections: sectionIds.join(',') },
+          sourceId: this.id,
+        },
+        items.map(({ id, quantity }) => ({ variantId: id, quantity, add: true }))
+      );
+
+      if (data.status) {
+        error.textContent = data.description || data.message;
+        error.hidden = false;
+        this.updateTotal();
+        return;
+      }
+
+      for (const { input } of this.#quantities) input.value = '0';
+      this.updateTotal();
+
+      liveRegion.textContent = Theme.translations.added ?? '';
+
+      this.dispatchEvent(
+        new CartAddEvent({}, this.id, {
+          source: 'variant-matrix-component',
+          itemCount,
+          productId: this.dataset.productId,
+          sections: data.sections,
+        })
+      );
+    } catch (error) {
+      // The queue adds the items once the connection is back and reports the result
+      if (error instanceof CartQueueDeferredError) return;
+
+      this.updateTotal();
+      console.error(error);
+    }
+  }
+
+  /**
+   * @returns {{ input: HTMLInputElement, quantity: number }[]} The quantity entered for each variant, within its stock.
+   */
+  get #quantities() {
+    const { quantityInputs = [] } = this.refs;
+
+    return quantityInputs
+      .filter((input) => !input.disabled)
+      .map((input) => {
+        const max = input.max === '' ? Infinity : Number(input.max);
+        const quantity = Math.min(Math.max(Math.floor(input.valueAsNumber) || 0, 0), max);
+
+        return { input, quantity };
+      });
+  }
+}
+
+if (!customElements.get('variant-matrix-component')) {
+  customElements.define('variant-matrix-component', VariantMatrixComponent);
+}
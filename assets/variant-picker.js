@@ -1,11 +1,91 @@
 import { Component } from '@theme/component';
 import { VariantSelectedEvent, VariantUpdateEvent } from '@theme/events';
 import { morph, MORPH_OPTIONS } from '@theme/morph';
-import { yieldToMainThread, getViewParameterValue, ResizeNotifier } from '@theme/utilities';
+import { yieldToMainThread, getViewParameterValue, ResizeNotifier, debounce } from '@theme/utilities';
+
+/** The key of the history state tagging the entries added by the variant pickers. */
+const VARIANT_PICKER_STATE = 'variantPicker';
+
+/** The number of variant responses kept in memory, shared by all the variant pickers of the page. */
+const MAX_CACHED_RESPONSES = 20;
+
+/**
+ * The variant responses, by request URL, least recently used first.
+ * The request URL holds the product URL, the section and the `option_values` of the combination.
+ * @type {Map<string, string>}
+ */
+const responseCache = new Map();
+
+/** @type {Map<string, Promise<string>>} */
+const pendingResponses = new Map();
+
+/**
+ * Gets a cached response, marking it as the most recently used.
+ * @param {string} requestUrl - The request URL.
+ * @returns {string | undefined} The response, if cached.
+ */
+function getCachedResponse(requestUrl) {
+  const response = responseCache.get(requestUrl);
+  if (response === undefined) return undefined;
+
+  responseCache.delete(requestUrl);
+  responseCache.set(requestUrl, response);
+
+  return response;
+}
+
+/**
+ * Fetches a response and caches it, evicting the least recently used one when the cache is full.
+ * Concurrent requests for the same URL, such as a click on a swatch being prefetched, share the same fetch.
+ * @param {string} requestUrl - The request URL.
+ * @returns {Promise<string>} The response.
+ */
+function fetchResponse(requestUrl) {
+  const pendingResponse = pendingResponses.get(requestUrl);
+  if (pendingResponse) return pendingResponse;
+
+  const response = fetch(requestUrl)
+    .then(async (response) => {
+      const responseText = await response.text();
+
+      if (response.ok) {
+        responseCache.delete(requestUrl);
+        responseCache.set(requestUrl, responseText);
+
+        if (responseCache.size > MAX_CACHED_RESPONSES) {
+          const [oldestUrl] = responseCache.keys();
+          if (oldestUrl !== undefined) responseCache.delete(oldestUrl);
+        }
+      }
+
+      return responseText;
+    })
+    .finally(() => pendingResponses.delete(requestUrl));
+
+  pendingResponses.set(requestUrl, response);
+
+  return response;
+}
 
 /**
  * @typedef {object} VariantPickerRefs
  * @property {HTMLFieldSetElement[]} fieldsets – The fieldset elements.
+ * @property {HTMLScriptElement} [availability] - The option value ids and availability of every variant, as JSON.
+ */
+
+/**
+ * @typedef {object} VariantAvailability
+ * @property {number} id - The id of the variant.
+ * @property {number[]} options - The ids of the option values of the variant.
+ * @property {boolean} available - Whether the variant can be bought.
+ */
+
+/**
+ * The availability of the variants, as embedded by Liquid.
+ * @typedef {object} EmbeddedAvailability
+ * @property {Record<string, number>[]} optionValueIds - The id of each option value, by name, for every option.
+ * @property {{ id: number, options: string[], available: boolean }[]} variants - The variants, with the names of their
+ * option values.
  */
 
 /**
@@ -27,10 +107,29 @@ export default class VariantPicker extends Component {
   /** @type {HTMLInputElement[][]} */
   #radios = [];
 
+  /**
+   * The option values selected by Liquid, restored for history entries without `option_values`.
+   * @type {string[]}
+   */
+  #initialOptionsValues = [];
+
+  /** Whether a history entry is being restored, the selection then being already in the URL. */
+  #restoringSelection = false;
+
+  /** Whether the current history entry was added by a variant picker. */
+  #onPickerEntry = false;
+
+  /**
+   * The variants of the product, when their availability is embedded. Parsed once per render.
+   * @type {VariantAvailability[] | undefined}
+   */
+  #variantAvailability;
+
   #resizeObserver = new ResizeNotifier(() => this.updateVariantPickerCss());
 
   connectedCallback() {
     super.connectedCallback();
+    this.#variantAvailability = this.#readVariantAvailability();
     const fieldsets = /** @type {HTMLFieldSetElement[]} */ (this.refs.fieldsets || []);
 
     fieldsets.forEach((fieldset) => {
@@ -44,14 +143,151 @@ export default class VariantPicker extends Component {
     });
 
     this.addEventListener('change', this.variantChanged.bind(this));
+    this.addEventListener('pointerover', this.#prefetchOption);
+    this.addEventListener('focusin', this.#prefetchOption);
     this.#resizeObserver.observe(this);
+
+    if (this.#writesHistory) {
+      this.#initialOptionsValues = this.selectedOptionsValues;
+      this.#onPickerEntry = Boolean(history.state?.[VARIANT_PICKER_STATE]);
+      window.addEventListener('popstate', this.#handlePopState);
+
+      // Liquid only selects the variant of a shared link on the product page
+      if (this.closest('featured-product-information')) this.#restoreURLSelection();
+    }
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+    this.#variantAvailability = this.#readVariantAvailability();
   }
 
   disconnectedCallback() {
     super.disconnectedCallback();
+    this.removeEventListener('pointerover', this.#prefetchOption);
+    this.removeEventListener('focusin', this.#prefetchOption);
+    this.#prefetchOption.cancel();
     this.#resizeObserver.disconnect();
+    window.removeEventListener('popstate', this.#handlePopState);
   }
 
+  /**
+   * Whether the selections are written to the browser history, as set in the theme settings.
+   * Variant pickers of product cards and dialogs, like quick add, keep their selection to themselves: the entries of a
+   * dialog would outlive it.
+   * @returns {boolean}
+   */
+  get #writesHistory() {
+    return Boolean(Theme.settings.variant_history) && !this.closest('product-card, dialog');
+  }
+
+  /**
+   * Restores the selection of the history entry, when navigating back or forward.
+   * Entries added by the variant pickers are tagged in their state. Navigating between other entries, like the
+   * ones of the filters, leaves the selection alone.
+   */
+  #handlePopState = () => {
+    const isPickerEntry = Boolean(history.state?.[VARIANT_PICKER_STATE]);
+    const wasOnPickerEntry = this.#onPickerEntry;
+
+    this.#onPickerEntry = isPickerEntry;
+    if (!isPickerEntry && !wasOnPickerEntry) return;
+
+    this.#restoreURLSelection();
+  };
+
+  /**
+   * Selects the option values of the URL, or the ones selected by Liquid when the URL has none.
+   */
+  #restoreURLSelection() {
+    const optionValues = new URLSearchParams(window.location.search).get('option_values');
+
+    this.#restoreSelection(optionValues ? optionValues.split(',') : this.#initialOptionsValues);
+  }
+
+  /**
+   * Selects option values, rendering them like a selection of the shopper.
+   * Option values of other products are ignored, their ids being unique to a product. A combined listing product
+   * whose page was left is selected back with the option connected to it.
+   * @param {string[]} optionValueIds - The ids of the option values to select.
+   */
+  #restoreSelection(optionValueIds) {
+    if (optionValueIds.join(',') === this.selectedOptionsValues.join(',')) return;
+
+    let options = optionValueIds.map((id) => this.querySelector(`[data-option-value-id="${CSS.escape(id)}"]`));
+
+    if (!options.every(Boolean)) {
+      const isOnOtherProductPage =
+        this.dataset.templateProductMatch === 'true' &&
+        this.dataset.productUrl?.split('?')[0] !== window.location.pathname;
+      const connectedOption = isOnOtherProductPage
+        ? this.querySelector(`[data-connected-product-url="${CSS.escape(window.location.pathname)}"]`)
+        : null;
+
+      if (!connectedOption) return;
+
+      options = [connectedOption];
+    }
+
+    /** @type {(HTMLInputElement | HTMLSelectElement)[]} */
+    const targets = [];
+
+    for (const option of options) {
+      if (option instanceof HTMLInputElement && !option.checked) {
+        targets.push(option);
+      } else if (option instanceof HTMLOptionElement && !option.hasAttribute('selected')) {
+        const select = option.closest('select');
+        if (!select) continue;
+
+        select.value = option.value;
+        targets.push(select);
+      }
+    }
+
+    const lastTarget = targets.pop();
+    if (!lastTarget) return;
+
+    // The last option is selected by the change event, which renders the whole selection
+    for (const target of targets) this.updateSelectedOption(target);
+
+    if (lastTarget instanceof HTMLInputElement) lastTarget.checked = true;
+
+    this.#restoringSelection = true;
+    lastTarget.dispatchEvent(new Event('change', { bubbles: true }));
+    this.#restoringSelection = false;
+  }
+
+  /**
+   * Prefetches the combination of the option hovered or focused, with the other options selected.
+   * Options loading another product of a combined listing are left out, their response being a whole page.
+   * @param {Event} event - The pointerover or focusin event.
+   */
+  #prefetchOption = debounce((event) => {
+    const target = event.target instanceof Element ? event.target.closest('label, input') : null;
+    const input = target instanceof HTMLLabelElement ? target.querySelector('input') : target;
+
+    if (!(input instanceof HTMLInputElement) || input.checked) return;
+
+    const { connectedProductUrl, optionValueId, fieldsetIndex } = input.dataset;
+    const productUrl = this.dataset.productUrl;
+
+    if (!optionValueId || !fieldsetIndex || !productUrl) return;
+    if (connectedProductUrl && connectedProductUrl !== productUrl.split('?')[0]) return;
+
+    const optionValues = this.selectedOptionsValues;
+    optionValues[Number(fieldsetIndex)] = optionValueId;
+
+    const requestUrl = this.#toRequestUrl(connectedProductUrl || productUrl, [
+      `option_values=${optionValues.join(',')}`,
+    ]);
+
+    if (responseCache.has(requestUrl)) return;
+
+    fetchResponse(requestUrl).catch(() => {
+      // The combination is fetched again when it's selected
+    });
+  }, 200);
+
   /**
    * Handles the variant change event.
    * @param {Event} event - The variant change event.
@@ -65,19 +301,24 @@ export default class VariantPicker extends Component {
     if (!selectedOption) return;
 
     this.updateSelectedOption(event.target);
+    this.#resolveSelection(selectedOption);
     this.dispatchEvent(new VariantSelectedEvent({ id: selectedOption.dataset.optionValueId ?? '' }));
 
     const isOnProductPage =
       this.dataset.templateProductMatch === 'true' &&
       !event.target.closest('product-card') &&
-      !event.target.closest('quick-add-dialog');
+      !event.target.closest('quick-add-dialog') &&
+      !event.target.closest('ecomx-quick-view');
 
     // Morph the entire main content for combined listings child products, because changing the product
     // might also change other sections depending on recommendations, metafields, etc.
     const currentUrl = this.dataset.productUrl?.split('?')[0];
     const newUrl = selectedOption.dataset.connectedProductUrl;
     const loadsNewProduct = isOnProductPage && !!newUrl && newUrl !== currentUrl;
-    const isOnFeaturedProductSection = Boolean(this.closest('featured-product-information'));
+    // A picker resolving its selection in the browser leaves the rest of the featured product to the media and the
+    // price, which update themselves from the response
+    const isOnFeaturedProductSection =
+      Boolean(this.closest('featured-product-information')) && !this.#variantAvailability;
 
     const morphElementSelector = loadsNewProduct
       ? 'main'
@@ -87,11 +328,15 @@ export default class VariantPicker extends Component {
 
     this.fetchUpdatedSection(this.buildRequestUrl(selectedOption), morphElementSelector);
 
+    // The URL of a history entry being restored already holds the selection
+    if (this.#restoringSelection) return;
+
     const url = new URL(window.location.href);
 
     const variantId = selectedOption.dataset.variantId || null;
+    const writesHistory = this.#writesHistory;
 
-    if (isOnProductPage) {
+    if (isOnProductPage || writesHistory) {
       if (variantId) {
         url.searchParams.set('variant', variantId);
       } else {
@@ -99,6 +344,11 @@ export default class VariantPicker extends Component {
       }
     }
 
+    // The option values restore the selection of variants that aren't available too
+    if (writesHistory) {
+      url.searchParams.set('option_values', this.selectedOptionsValues.join(','));
+    }
+
     // Change the path if the option is connected to another product via combined listing.
     if (loadsNewProduct) {
       url.pathname = newUrl;
@@ -106,11 +356,150 @@ export default class VariantPicker extends Component {
 
     if (url.href !== window.location.href) {
       yieldToMainThread().then(() => {
-        history.replaceState({}, '', url.toString());
+        if (writesHistory) {
+          history.pushState({ [VARIANT_PICKER_STATE]: true }, '', url.toString());
+          this.#onPickerEntry = true;
+        } else {
+          history.replaceState({}, '', url.toString());
+        }
       });
     }
   }
 
+  /**
+   * Parses the variants of the product, when their availability is embedded.
+   * The option values are embedded by name, once per option with their ids, and the variants use the names.
+   * @returns {VariantAvailability[] | undefined}
+   */
+  #readVariantAvailability() {
+    const availability = /** @type {HTMLScriptElement | undefined} */ (this.refs.availability);
+    if (!availability?.textContent) return undefined;
+
+    /** @type {EmbeddedAvailability} */
+    const { optionValueIds, variants } = JSON.parse(availability.textContent);
+
+    return variants.map(({ id, options, available }) => ({
+      id,
+      options: options.map((name, index) => optionValueIds[index]?.[name] ?? 0),
+      available,
+    }));
+  }
+
+  /**
+   * Resolves the selection in the browser, before the section is fetched for the media and the price.
+   * The picker isn't rendered again from the response then.
+   * When the option selected makes a combination that doesn't exist, the other options are changed to the closest
+   * variant with that option, available if possible. The availability of every option value is then updated.
+   * @param {HTMLElement} selectedOption - The option value selected.
+   */
+  #resolveSelection(selectedOption) {
+    const variants = this.#variantAvailability;
+    if (!variants) return;
+
+    const selectedIds = this.selectedOptionsValues.map(Number);
+    const changedIndex = selectedIds.indexOf(Number(selectedOption.dataset.optionValueId));
+
+    const exists = variants.some((variant) => variant.options.every((id, index) => id === selectedIds[index]));
+
+    if (!exists && changedIndex !== -1) {
+      // Options are weighed by position, the first ones usually being the most significant, such as a color
+      const score = (/** @type {VariantAvailability} */ variant) =>
+        variant.options.reduce(
+          (total, id, index) => (id === selectedIds[index] ? total + 2 ** (variant.options.length - index) : total),
+          variant.available ? 2 ** (variant.options.length + 1) : 0
+        );
+
+      const closestVariant = variants
+        .filter((variant) => variant.options[changedIndex] === selectedIds[changedIndex])
+        .reduce(
+          (/** @type {VariantAvailability | undefined} */ closest, variant) =>
+            !closest || score(variant) > score(closest) ? variant : closest,
+          undefined
+        );
+
+      if (closestVariant) this.#selectOptionValues(closestVariant.options);
+    }
+
+    this.#updateAvailability(variants);
+  }
+
+  /**
+   * Selects option values, without rendering them.
+   * @param {number[]} optionValueIds - The ids of the option values.
+   */
+  #selectOptionValues(optionValueIds) {
+    for (const id of optionValueIds) {
+      const option = this.querySelector(`[data-option-value-id="${id}"]`);
+
+      if (option instanceof HTMLInputElement && !option.checked) {
+        this.updateSelectedOption(option);
+      } else if (option instanceof HTMLOptionElement && !option.hasAttribute('selected')) {
+        const select = option.closest('select');
+        if (!select) continue;
+
+        select.value = option.value;
+        this.updateSelectedOption(select);
+      }
+    }
+  }
+
+  /**
+   * Marks the option values making, with the other options selected, a combination unavailable or that doesn't exist.
+   * The variant of each combination and the selected swatch values are updated too, as the picker isn't rendered
+   * again from the response.
+   * @param {VariantAvailability[]} variants - The variants of the product.
+   */
+  #updateAvailability(variants) {
+    const selectedIds = this.selectedOptionsValues.map(Number);
+
+    /** @type {Map<string, VariantAvailability>} */
+    const combinations = new Map(variants.map((variant) => [variant.options.join(','), variant]));
+
+    /** @type {Map<number, number>} */
+    const optionIndexes = new Map();
+    for (const variant of variants) {
+      variant.options.forEach((id, index) => optionIndexes.set(id, index));
+    }
+
+    for (const option of this.querySelectorAll('[data-option-value-id]')) {
+      if (!(option instanceof HTMLInputElement || option instanceof HTMLOptionElement)) continue;
+
+      const id = Number(option.dataset.optionValueId);
+      const index = optionIndexes.get(id);
+      const combination = selectedIds.map((selectedId, selectedIndex) => (selectedIndex === index ? id : selectedId));
+      const variant = index === undefined ? undefined : combinations.get(combination.join(','));
+      const available = variant?.available === true;
+
+      if (variant) {
+        option.dataset.variantId = String(variant.id);
+      } else {
+        delete option.dataset.variantId;
+      }
+
+      if (option instanceof HTMLInputElement) {
+        option.dataset.optionAvailable = String(available);
+
+        if (available) {
+          option.removeAttribute('aria-disabled');
+        } else {
+          option.setAttribute('aria-disabled', 'true');
+        }
+      } else {
+        const label = available ? option.dataset.label : option.dataset.unavailableLabel;
+        if (label !== undefined) option.textContent = label;
+      }
+    }
+
+    const fieldsets = /** @type {HTMLFieldSetElement[]} */ (this.refs.fieldsets || []);
+
+    for (const fieldset of fieldsets) {
+      const swatchValue = fieldset.querySelector('.variant-option__swatch-value');
+      const checkedInput = fieldset.querySelector('input:checked');
+
+      if (swatchValue && checkedInput instanceof HTMLInputElement) swatchValue.textContent = checkedInput.value;
+    }
+  }
+
   /**
    * @typedef {object} FieldsetMeasurements
    * @property {HTMLFieldSetElement} fieldset
@@ -260,10 +649,6 @@ export default class VariantPicker extends Component {
     let productUrl = selectedOption.dataset.connectedProductUrl || this.#pendingRequestUrl || this.dataset.productUrl;
     this.#pendingRequestUrl = productUrl;
     const params = [];
-    const viewParamValue = getViewParameterValue();
-
-    // preserve view parameter, if it exists, for alternative product view testing
-    if (viewParamValue) params.push(`view=${viewParamValue}`);
 
     if (this.selectedOptionsValues.length && !source) {
       params.push(`option_values=${this.selectedOptionsValues.join(',')}`);
@@ -275,11 +660,27 @@ export default class VariantPicker extends Component {
       }
     }
 
+    return this.#toRequestUrl(productUrl, params);
+  }
+
+  /**
+   * Builds the request URL of a product, for the section the variant picker is in.
+   * @param {string | undefined} productUrl - The product URL.
+   * @param {string[]} params - The query parameters.
+   * @returns {string} The request URL.
+   */
+  #toRequestUrl(productUrl, params) {
+    const viewParamValue = getViewParameterValue();
+
+    // preserve view parameter, if it exists, for alternative product view testing
+    if (viewParamValue) params = [`view=${viewParamValue}`, ...params];
+
     // If variant-picker is a child of some specific sections, we need to append section_id=xxxx to the URL
     const SECTION_ID_MAP = {
       'quick-add-component': 'section-rendering-product-card',
       'swatches-variant-picker-component': 'section-rendering-product-card',
       'featured-product-information': this.closest('featured-product-information')?.id,
+      'ecomx-quick-view': 'ecomx-quick-view',
     };
 
     const closestSectionId = /** @type {keyof typeof SECTION_ID_MAP} | undefined */ (
@@ -298,6 +699,7 @@ export default class VariantPicker extends Component {
 
   /**
    * Fetches the updated section.
+   * A cached response is rendered right away, and then refreshed in the background.
    * @param {string} requestUrl - The request URL.
    * @param {string} [morphElementSelector] - The selector of the element to be morphed. By default, only the variant picker is morphed.
    */
@@ -305,46 +707,102 @@ export default class VariantPicker extends Component {
     // We use this to abort the previous fetch request if it's still pending.
     this.#abortController?.abort();
     this.#abortController = new AbortController();
+    const { signal } = this.#abortController;
+
+    let cachedResponse = getCachedResponse(requestUrl);
+
+    if (cachedResponse !== undefined) {
+      const html = this.#parseResponse(cachedResponse);
 
-    fetch(requestUrl, { signal: this.#abortController.signal })
-      .then((response) => response.text())
+      if (this.#isResponseForRequest(html, requestUrl)) {
+        this.#pendingRequestUrl = undefined;
+
+        try {
+          this.#renderResponse(html, morphElementSelector);
+        } catch (error) {
+          console.error(error);
+        }
+      } else {
+        // Never render another product of a combined listing
+        responseCache.delete(requestUrl);
+        cachedResponse = undefined;
+      }
+    }
+
+    fetchResponse(requestUrl)
       .then((responseText) => {
+        if (signal.aborted) return;
+
         this.#pendingRequestUrl = undefined;
-        const html = new DOMParser().parseFromString(responseText, 'text/html');
-        // Defer is only useful for the initial rendering of the page. Remove it here.
-        html.querySelector('overflow-list[defer]')?.removeAttribute('defer');
 
-        const textContent = html.querySelector(`variant-picker script[type="application/json"]`)?.textContent;
-        if (!textContent) return;
+        // Nothing changed since the cached response was rendered
+        if (responseText === cachedResponse) return;
 
-        if (morphElementSelector === 'main') {
-          this.updateMain(html);
-        } else if (morphElementSelector) {
-          this.updateElement(html, morphElementSelector);
-        } else {
-          const newProduct = this.updateVariantPicker(html);
-
-          // We grab the variant object from the response and dispatch an event with it.
-          if (this.selectedOptionId) {
-            this.dispatchEvent(
-              new VariantUpdateEvent(JSON.parse(textContent), this.selectedOptionId, {
-                html,
-                productId: this.dataset.productId ?? '',
-                newProduct,
-              })
-            );
-          }
-        }
+        this.#renderResponse(this.#parseResponse(responseText), morphElementSelector);
       })
       .catch((error) => {
-        if (error.name === 'AbortError') {
-          console.warn('Fetch aborted by user');
-        } else {
-          console.error(error);
-        }
+        console.error(error);
       });
   }
 
+  /**
+   * @param {string} responseText - The response of a variant request.
+   * @returns {Document} The response, parsed.
+   */
+  #parseResponse(responseText) {
+    const html = new DOMParser().parseFromString(responseText, 'text/html');
+    // Defer is only useful for the initial rendering of the page. Remove it here.
+    html.querySelector('overflow-list[defer]')?.removeAttribute('defer');
+
+    return html;
+  }
+
+  /**
+   * Checks that a response is for the product requested, the product of a combined listing changing with options.
+   * @param {Document} html - The response, parsed.
+   * @param {string} requestUrl - The request URL.
+   * @returns {boolean} Whether the response is for the product of the request URL.
+   */
+  #isResponseForRequest(html, requestUrl) {
+    const variantPicker = html.querySelector(this.tagName.toLowerCase());
+    if (!(variantPicker instanceof HTMLElement)) return false;
+
+    const productPath = variantPicker.dataset.productUrl?.split('?')[0];
+
+    return productPath === new URL(requestUrl, window.location.origin).pathname;
+  }
+
+  /**
+   * Renders the response of a variant request.
+   * @param {Document} html - The response, parsed.
+   * @param {string} [morphElementSelector] - The selector of the element to be morphed, the variant picker by default.
+   */
+  #renderResponse(html, morphElementSelector) {
+    const textContent = html.querySelector(`variant-picker script[type="application/json"]`)?.textContent;
+    if (!textContent) return;
+
+    if (morphElementSelector === 'main') {
+      this.updateMain(html);
+    } else if (morphElementSelector) {
+      this.updateElement(html, morphElementSelector);
+    } else {
+      // The selection and the availability were already resolved in the browser, rendering the picker again would
+      // only undo newer selections
+      const newProduct = this.#variantAvailability ? undefined : this.updateVariantPicker(html);
+
+      // We grab the variant object from the response and dispatch an event with it.
+      if (this.selectedOptionId) {
+        this.dispatchEvent(
+          new VariantUpdateEvent(JSON.parse(textContent), this.selectedOptionId, {
+            html,
+            productId: this.dataset.productId ?? '',
+            newProduct,
+          })
+        );
+      }
+    }
+  }
+
   /**
    * @typedef {Object} NewProduct
    * @property {string} id
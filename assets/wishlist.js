@@ -0,0 +1,304 @@
+import { Component } from '@theme/component';
+import { DialogComponent } from '@theme/dialog';
+import { ThemeEvents, WishlistUpdateEvent } from '@theme/events';
+import { morph } from '@theme/morph';
+import { sectionRenderer } from '@theme/section-renderer';
+import { tabSync } from '@theme/tab-sync';
+
+/**
+ * @typedef {object} WishlistItem
+ * @property {string} productId - The product id.
+ * @property {string} variantId - The saved variant id.
+ * @property {string} productUrl - The URL of the product, used to render the saved variant.
+ * @property {number} savedAt - When the item was saved, in milliseconds since the epoch.
+ */
+
+/**
+ * Updates the items saved for later in localStorage.
+ * Changes dispatch a `WishlistUpdateEvent` on the document, and are announced to the other tabs with the `wishlist`
+ * tab sync message.
+ */
+export class Wishlist {
+  /** @static @constant {string} The key used to store the saved items in local storage */
+  static #STORAGE_KEY = 'wishlist';
+  /** @static @constant {number} The maximum number of items to store */
+  static #MAX_ITEMS = 50;
+
+  /**
+   * Saves a variant. Saving it again moves it to the top of the list.
+   * @param {string} productId - The ID of the product.
+   * @param {string} variantId - The ID of the variant to save.
+   * @param {string} productUrl - The URL of the product.
+   */
+  static addItem(productId, variantId, productUrl) {
+    let items = this.getItems().filter((item) => item.variantId !== variantId);
+
+    items.unshift({ productId, variantId, productUrl, savedAt: Date.now() });
+    items = items.slice(0, this.#MAX_ITEMS);
+
+    this.#save(items);
+  }
+
+  /**
+   * Removes a saved variant.
+   * @param {string} variantId - The ID of the variant to remove.
+   */
+  static removeItem(variantId) {
+    this.#save(this.getItems().filter((item) => item.variantId !== variantId));
+  }
+
+  /**
+   * Removes all the saved variants of a product.
+   * @param {string} productId - The ID of the product to remove.
+   */
+  static removeProduct(productId) {
+    this.#save(this.getItems().filter((item) => item.productId !== productId));
+  }
+
+  /**
+   * Checks whether any variant of a product is saved.
+   * @param {string} productId - The ID of the product.
+   * @returns {boolean} Whether the product is saved.
+   */
+  static hasProduct(productId) {
+    return this.getItems().some((item) => item.productId === productId);
+  }
+
+  /**
+   * Retrieves the saved items from local storage.
+   * @returns {WishlistItem[]} The saved items, newest first.
+   */
+  static getItems() {
+    const items = JSON.parse(localStorage.getItem(this.#STORAGE_KEY) || '[]');
+
+    return Array.isArray(items) ? items : [];
+  }
+
+  /**
+   * @param {WishlistItem[]} items - The items to store.
+   */
+  static #save(items) {
+    localStorage.setItem(this.#STORAGE_KEY, JSON.stringify(items));
+
+    document.dispatchEvent(new WishlistUpdateEvent(items));
+    tabSync.publish('wishlist');
+  }
+}
+
+tabSync.subscribe('wishlist', () => {
+  document.dispatchEvent(new WishlistUpdateEvent(Wishlist.getItems()));
+});
+
+/**
+ * A heart button that saves the product of the closest product card, or of its own data attributes.
+ *
+ * @typedef {object} WishlistToggleRefs
+ * @property {HTMLButtonElement} button - The toggle button.
+ *
+ * @extends {Component<WishlistToggleRefs>}
+ */
+class WishlistToggleComponent extends Component {
+  requiredRefs = ['button'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.wishlistUpdate, this.#update);
+    this.#update();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.wishlistUpdate, this.#update);
+  }
+
+  /**
+   * Saves the product, or removes it if it's already saved.
+   * @param {Event} event - The click event.
+   */
+  toggle(event) {
+    event.preventDefault();
+
+    const { productId, productUrl } = this.dataset;
+    if (!productId) return;
+
+    if (Wishlist.hasProduct(productId)) {
+      Wishlist.removeProduct(productId);
+      return;
+    }
+
+    /** @type {import('./product-card').ProductCard | null} */
+    const productCard = this.closest('product-card');
+    const variantId = productCard?.getSelectedVariantId() || this.dataset.variantId;
+    if (!variantId || !productUrl) return;
+
+    Wishlist.addItem(productId, variantId, productUrl);
+  }
+
+  #update = () => {
+    const { productId } = this.dataset;
+    const saved = Boolean(productId && Wishlist.hasProduct(productId));
+
+    this.refs.button.setAttribute('aria-pressed', String(saved));
+  };
+}
+
+if (!customElements.get('wishlist-toggle-component')) {
+  customElements.define('wishlist-toggle-component', WishlistToggleComponent);
+}
+
+const SECTION_ID = 'wishlist-drawer';
+/** The number of items rendered at the same time, so a long wishlist doesn't flood the server with requests. */
+const MAX_CONCURRENT_RENDERS = 4;
+
+/**
+ * The header drawer listing the saved items.
+ * Each item is rendered by the `wishlist-drawer` section, on the URL of its product with the saved variant selected.
+ * Adding an item to the cart goes through its product form, and removes it from the wishlist once it succeeded.
+ *
+ * @typedef {object} WishlistDrawerRefs
+ * @property {HTMLDialogElement} dialog - The dialog element.
+ * @property {HTMLElement} items - The list of saved items.
+ * @property {HTMLElement} emptyMessage - The message shown when nothing is saved.
+ * @property {HTMLElement} [count] - The number of saved items, on the drawer trigger.
+ *
+ * @extends {DialogComponent<WishlistDrawerRefs>}
+ */
+class WishlistDrawerComponent extends DialogComponent {
+  requiredRefs = ['dialog', 'items', 'emptyMessage'];
+
+  /** @type {AbortController | null} */
+  #renderController = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.wishlistUpdate, this.#onWishlistUpdate);
+    this.addEventListener(ThemeEvents.cartUpdate, this.#onCartUpdate);
+    this.#renderCount();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.wishlistUpdate, this.#onWishlistUpdate);
+    this.removeEventListener(ThemeEvents.cartUpdate, this.#onCartUpdate);
+    this.#renderController?.abort();
+  }
+
+  showDialog() {
+    super.showDialog();
+    this.#renderItems();
+  }
+
+  /**
+   * Removes an item from the wishlist.
+   * @param {number | string} variantId - The ID of the variant to remove.
+   */
+  removeItem(variantId) {
+    Wishlist.removeItem(String(variantId));
+  }
+
+  #onWishlistUpdate = () => {
+    this.#renderCount();
+
+    if (this.refs.dialog.open) this.#renderItems();
+  };
+
+  /**
+   * Removes the items that were moved to the cart.
+   * @param {Event} event - The cart update event, dispatched by the product forms of the items.
+   */
+  #onCartUpdate = (event) => {
+    const { sourceId, data } = /** @type {CustomEvent} */ (event).detail ?? {};
+    if (data?.didError || !sourceId) return;
+
+    if (Wishlist.getItems().some((item) => item.variantId === String(sourceId))) {
+      Wishlist.removeItem(String(sourceId));
+    }
+  };
+
+  #renderCount() {
+    const { count } = this.refs;
+    if (!count) return;
+
+    const { length } = Wishlist.getItems();
+    count.textContent = length > 0 ? String(length) : '';
+    count.hidden = length === 0;
+  }
+
+  async #renderItems() {
+    const { items: list, emptyMessage } = this.refs;
+    const items = Wishlist.getItems();
+
+    this.#renderController?.abort();
+    const controller = new AbortController();
+    this.#renderController = controller;
+
+    /** @type {HTMLElement[]} */
+    let entries = [];
+
+    if (items.length > 0) {
+      const rendered = await this.#renderAll(items, controller.signal);
+      if (controller.signal.aborted) return;
+
+      // Items that failed to render, or whose product or variant no longer exists, are left out
+      entries = rendered.filter((entry) => entry instanceof HTMLElement);
+    }
+
+    const newList = /** @type {HTMLElement} */ (list.cloneNode(false));
+    newList.append(...entries);
+
+    morph(list, newList);
+    emptyMessage.hidden = entries.length > 0;
+  }
+
+  /**
+   * Renders the saved items, a few at a time.
+   * @param {WishlistItem[]} items - The saved items.
+   * @param {AbortSignal} signal - Stops rendering the remaining items once aborted.
+   * @returns {Promise<Array<Element | null | undefined>>} The rendered items, in the order they were saved in.
+   */
+  async #renderAll(items, signal) {
+    /** @type {Array<Element | null | undefined>} */
+    const rendered = [];
+    const queue = items.entries();
+
+    // Each worker takes the next item from the shared iterator once its previous item is rendered
+    const work = async () => {
+      for (const [index, item] of queue) {
+        if (signal.aborted) return;
+
+        try {
+          rendered[index] = await this.#renderItem(item);
+        } catch (error) {
+          rendered[index] = null;
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(MAX_CONCURRENT_RENDERS, items.length) }, work));
+
+    return rendered;
+  }
+
+  /**
+   * Renders a saved item.
+   * @param {WishlistItem} item - The saved item.
+   * @returns {Promise<Element | null | undefined>} The rendered item, if the saved variant still exists.
+   */
+  async #renderItem({ productUrl, variantId }) {
+    const url = new URL(productUrl, location.origin);
+    url.searchParams.set('variant', variantId);
+
+    const html = await sectionRenderer.getSectionHTML(SECTION_ID, false, url);
+    const renderedList = new DOMParser().parseFromString(html, 'text/html').getElementById('wishlist-drawer-items');
+
+    return renderedList?.querySelector(`[data-variant-id="${CSS.escape(variantId)}"]`);
+  }
+}
+
+if (!customElements.get('wishlist-drawer-component')) {
+  customElements.define('wishlist-drawer-component', WishlistDrawerComponent);
+}